@@ -0,0 +1,483 @@
+const EventEmitter = require('events');
+const Logger = require('./logger');
+const { encodeFrame, FrameParser, LineCodec, MAX_FRAME_PAYLOAD } = require('./frame');
+const { ReliableLink } = require('./reliable-link');
+const { FlowController } = require('./flow-control');
+const { Scheduler, DEFAULT_FRAGMENT_SIZE } = require('./scheduler');
+const { Compression } = require('./compression');
+const { SecureChannel } = require('./secure-channel');
+const { SerialReconnector } = require('./serial-reconnector');
+const { parseTransport, createTransport } = require('./link-transport');
+const { PortLocator } = require('./serial-locator');
+const { Rs485Direction, describeLineSettings } = require('./serial-line');
+const { resolveOptions } = require('./cli-options');
+const { LinkHandshake, CAP_COMPRESSION, CAP_ENCRYPTION, CAP_RELIABLE, CAP_IPV6, CAP_REVERSE, CAP_UDP, CAP_UDP_TIMEOUT, describeCapabilities } = require('./handshake');
+const { PacketEncoder, PacketDecoder } = require('./codec');
+
+const REASON_LINK_DOWN = 'ELINKDOWN'; // 链路断开时关闭会话的原因码
+// 因链路断开而关闭的会话ID最多记录的数量
+const MAX_LINK_CLOSED_SESSIONS = 1024;
+
+// 服务端和客户端共用的链路部分：链路传输、各协议层的连接、链路断开时的会话保留
+// 子类实现以下方法：
+//   sessionCount()                     当前的会话数
+//   closeAllSessions(reason, notify)   关闭所有会话；notify 为真且链路打开时尽力通知对端
+//   sessionTarget(clientId)            会话在数据包中使用的目标 { host, port }，会话不存在时返回 null
+//   handlePacket(packet)               处理对端发来的数据包
+//   onPeerReady()                      与对端完成握手（包括对端重启）后调用，默认不做任何事
+class BridgeBase extends EventEmitter {
+    constructor(role, options, loggerName) {
+        super();
+        this.options = resolveOptions(role, options);
+        // 给出 linkStream 时链路运行在该双工流上，忽略 transport 和串口选项
+        this.transportSpec = options.linkStream ? { type: 'stream', stream: options.linkStream } : parseTransport(this.options.transport);
+        this.linkName = this.transportSpec.type === 'serial' ? '串口' : '链路';
+        this.logger = options.logger || Logger.create(loggerName, {
+            debug: this.options.debug,
+            info: !this.options.quiet,
+            warn: true,
+            error: true,
+            verbose: this.options.verbose,
+            stderr: this.transportSpec.type === 'stdio',  // 标准输出用于链路
+            logToFile: this.options.logFile !== '',
+            logFile: this.options.logFile
+        });
+
+        // 按USB标识选择串口时忽略 port，每次打开前重新查找设备路径
+        this.portLocator = new PortLocator({
+            vendorId: this.options.vendorId,
+            productId: this.options.productId,
+            serialNumber: this.options.serialNumber
+        });
+        // 串口线路设置
+        this.lineSettings = {
+            baudRate: this.options.baud,
+            dataBits: this.options.dataBits,
+            parity: this.options.parity,
+            stopBits: this.options.stopBits,
+            rtscts: this.options.rtscts,  // 硬件流控
+            xon: this.options.xon,        // 软件流控
+            xoff: this.options.xoff,
+            xany: this.options.xany,
+            hupcl: this.options.hupcl     // 关闭串口时拉低DTR
+        };
+        // RS-485 收发方向控制，null 表示不启用
+        this.rs485Settings = this.options.rs485 ? {
+            rtsOnSend: this.options.rs485RtsOnSend,
+            delayBeforeSend: this.options.rs485DelayBeforeSend,
+            delayAfterSend: this.options.rs485DelayAfterSend
+        } : null;
+
+        // 因链路断开而关闭的会话ID：链路恢复后对端仍可能送达这些会话的在途数据包，直接丢弃而不再逐个告警
+        this.linkClosedSessions = new Set();
+
+        this.graceTimer = null;
+        this.linkUp = false;
+        this.state = 'idle';     // idle | running | stopped
+        this.stopping = null;
+    }
+
+    // 链路当前是否可用
+    isLinkUp() {
+        return this.linkUp;
+    }
+
+    // 'error' 事件只在有监听器时触发，避免没有监听器时 EventEmitter 抛出异常
+    reportError(err) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', err);
+        }
+    }
+
+    setLinkUp(up, details) {
+        if (this.linkUp === up) {
+            return;
+        }
+        this.linkUp = up;
+        this.emit(up ? 'link-up' : 'link-down', details);
+    }
+
+    onPeerReady() {
+    }
+
+    // 创建各层并连接起来：
+    // 调度器 -> 可靠传输层 -> 加密层 -> 握手层 -> 帧封装 -> 链路传输，接收方向相反
+    setupLink(psk) {
+        const { options, logger } = this;
+
+        // 可靠传输层：关闭时仅做帧封装，开启时提供序号、累计确认和超时重传
+        this.link = new ReliableLink({ reliable: options.reliable });
+
+        this.secure = new SecureChannel({ psk });
+
+        // 链路握手：串口打开时交换协议版本、最大帧长度和能力位，确认对端兼容后才启动加密层和可靠传输层
+        this.handshake = new LinkHandshake({
+            maxFrame: MAX_FRAME_PAYLOAD,
+            capabilities: (options.compression ? CAP_COMPRESSION : 0) | (psk ? CAP_ENCRYPTION : 0) |
+                (options.reliable ? CAP_RELIABLE : 0) | CAP_IPV6 | CAP_REVERSE | CAP_UDP | CAP_UDP_TIMEOUT,
+            peerTimeout: options.peerTimeout,
+            psk
+        });
+
+        // 每连接的信用流量控制
+        this.flowControl = new FlowController();
+
+        // 数据压缩，启用与否在串口打开时与对端协商
+        this.compression = new Compression({ enabled: options.compression });
+
+        // 数据包编码：所有发往对端的数据包都经编码器生成，数据和UDP数据报按协商结果压缩
+        this.packetEncoder = new PacketEncoder({ compression: this.compression });
+
+        // 数据包解析流：解压数据，丢弃格式错误或命令未知的数据包
+        this.packetDecoder = new PacketDecoder({ compression: this.compression });
+
+        // 出站调度器：把数据切成有界的分片，在各连接之间按 priority 加权轮询，
+        // 只在串口写缓冲接近空时才取出下一个分片，避免大流量连接阻塞交互式连接
+        this.scheduler = new Scheduler({
+            canSend: () => this.transport.isOpen && this.handshake.isReady() && this.secure.isEstablished() &&
+                this.link.pendingCount() === 0 && this.transport.writableLength < this.scheduler.fragmentSize * 2,
+            send: (packet) => {
+                this.link.send(packet, (err) => {
+                    if (err) {
+                        logger.error(`${this.linkName}写入失败:`, err.message);
+                    }
+                });
+            }
+        });
+
+        // 调度器排队数据回落后恢复所有会话的套接字
+        this.scheduler.on('drain', () => {
+            logger.debug('发送队列已回落，恢复连接的读取');
+            this.flowControl.setLinkBlocked(false);
+        });
+
+        // 初始化链路传输（默认为串口）
+        const isSerial = this.transportSpec.type === 'serial';
+        const transport = this.transport = createTransport(this.transportSpec, {
+            path: this.portLocator.isEnabled() ? this.portLocator.describe() : options.port,
+            ...this.lineSettings
+        });
+        const { link, secure, handshake, scheduler } = this;
+
+        // RS-485 半双工时经方向控制写入串口
+        const rs485 = this.rs485Settings && isSerial ? new Rs485Direction(transport, this.rs485Settings) : null;
+        if (rs485) {
+            rs485.on('error', (err) => {
+                logger.error('RS-485 方向控制失败（串口可能不支持设置 RTS）:', err.message);
+                this.reportError(err);
+            });
+        }
+        const writeSerial = rs485 ? (data, callback) => rs485.write(data, callback) : (data, callback) => transport.write(data, callback);
+
+        // 创建帧解析流
+        const frameParser = new FrameParser();
+        // 串口不能透明传输任意字节（7 个数据位、XON/XOFF 软件流控）时转义帧中的字节
+        const lineCodec = this.lineCodec = new LineCodec({
+            sevenBit: isSerial && this.lineSettings.dataBits < 8,
+            flowControl: isSerial && (this.lineSettings.xon || this.lineSettings.xoff)
+        });
+
+        // 打开链路，失败或断开后按指数退避重新打开；每次打开后清空解析状态并重新握手
+        const reconnector = this.reconnector = new SerialReconnector(transport, {
+            resolvePath: isSerial && this.portLocator.isEnabled() ? () => this.portLocator.resolve() : null
+        });
+
+        transport.on('listening', (address) => {
+            logger.info(`等待对端连接: ${address}`);
+            // 能连接到该端口的任何人都可以冒充对端，只有预共享密钥能认证对端
+            if (!psk && this.transportSpec.type === 'tcp') {
+                logger.error(`监听 ${address} 但没有设置 psk-file，能连接到该端口的任何人都可以冒充对端，请用 psk-file 启用链路加密`);
+            }
+        });
+
+        transport.on('connection', (remote) => {
+            logger.info(`对端已连接: ${remote}`);
+        });
+
+        transport.on('rejected', (remote) => {
+            logger.warn(`拒绝对端连接 ${remote}: 已有对端连接`);
+        });
+
+        reconnector.on('resolved', (path) => {
+            logger.info(`${this.portLocator.describe()} -> ${path}`);
+        });
+
+        reconnector.on('open', () => {
+            logger.info(isSerial
+                ? `串口已打开: ${transport.path} (${describeLineSettings(transport.settings, this.rs485Settings)}${lineCodec.isActive() ? `, 线路编码: ${lineCodec.describe()}` : ''})`
+                : `链路已打开: ${transport.path}`);
+            if (rs485) {
+                rs485.reset();
+            }
+            frameParser.reset();
+            lineCodec.reset();
+            handshake.start();
+        });
+
+        reconnector.on('open-failed', ({ err, failures }) => {
+            logger.error(`${this.linkName}打开失败 (连续 ${failures} 次):`, err.message);
+        });
+
+        reconnector.on('retry', ({ delay }) => {
+            logger.info(`${delay}ms 后尝试重新打开${this.linkName}`);
+        });
+
+        // 串口断开时停止各层的定时器并保留或关闭所有会话，服务端的本地监听保持不变，重新握手前不处理任何数据包
+        reconnector.on('close', (err) => {
+            logger.error(`${this.linkName}已断开${err ? ': ' + err.message : ''}`);
+            if (handshake.isReady()) {
+                logger.error(`链路状态: 已连接 -> 已断开 (${this.linkName}已关闭)`);
+            }
+            handshake.stop();
+            secure.stop();
+            link.stop();
+            frameParser.reset();
+            lineCodec.reset();
+            if (rs485) {
+                rs485.reset();
+            }
+            this.setLinkUp(false, { reason: `${this.linkName}已关闭` });
+            this.suspendSessions();
+        });
+
+        // 处理串口数据：先按帧同步并校验CRC，再解析数据包
+        transport.on('data', (data) => {
+            frameParser.write(lineCodec.decode(data));
+        });
+
+        // 链路层输出经加密层、握手层封装成帧后写入串口，每写完一帧让调度器发送下一个分片
+        link.output = (payload, callback) => secure.send(payload, callback);
+        secure.output = (payload, callback) => handshake.send(payload, callback);
+
+        handshake.output = (payload, callback) => {
+            if (!transport.isOpen) {
+                if (callback) {
+                    callback(new Error(`${this.linkName}未打开`));
+                }
+                return true;
+            }
+            return writeSerial(lineCodec.encode(encodeFrame(payload)), (err) => {
+                if (callback) {
+                    callback(err);
+                }
+                scheduler.pump();
+            });
+        };
+
+        // 串口写缓冲排空后通知链路层，链路层排空后继续调度
+        transport.on('drain', () => {
+            link.onOutputDrain();
+        });
+
+        link.on('drain', () => {
+            scheduler.pump();
+        });
+
+        frameParser.on('frame', (payload) => {
+            handshake.receive(payload);
+        });
+
+        handshake.on('payload', (payload) => {
+            secure.receive(payload);
+        });
+
+        handshake.on('ready', ({ peer }) => {
+            logger.info(`对端已就绪: 协议版本 ${peer.version}, 最大帧 ${peer.maxFrame} 字节, 能力: ${describeCapabilities(peer.capabilities)}`);
+            this.applyPeerCapabilities(peer);
+            secure.start();
+            link.start();
+            this.onPeerReady();
+            scheduler.pump();
+            this.setLinkUp(true, { peer });
+        });
+
+        handshake.on('peer-restart', ({ peer }) => {
+            logger.warn(`对端进程已重启, 能力: ${describeCapabilities(peer.capabilities)}`);
+            this.applyPeerCapabilities(peer);
+            // 对端已没有这些会话，无需再通知
+            this.endSuspension();
+            this.closeAllSessions('EPEERRESTART', false);
+            this.onPeerReady();
+            this.setLinkUp(true, { peer });
+        });
+
+        // 链路状态变化：断开时保留或关闭所有会话
+        handshake.on('link-down', ({ silence }) => {
+            logger.error(`链路状态: 已连接 -> 已断开 (${silence}ms 内未收到对端的帧)`);
+            this.setLinkUp(false, { reason: `${silence}ms 内未收到对端的帧` });
+            this.suspendSessions();
+        });
+
+        // 链路恢复（心跳恢复或串口重新打开后与同一对端重新握手）：重新同步可靠传输层，重传未确认的数据后继续保留的会话
+        handshake.on('link-up', () => {
+            logger.info('链路状态: 已断开 -> 已连接');
+            this.resumeSessions();
+            if (!secure.isEstablished()) {
+                secure.start();
+            }
+            link.start();
+            scheduler.pump();
+            this.setLinkUp(true, { peer: handshake.peer });
+        });
+
+        handshake.on('rtt', (rtt) => {
+            logger.verbose(`心跳往返时间: ${rtt}ms`);
+        });
+
+        // 不兼容的对端：停止发送并按链路断开处理会话
+        handshake.on('incompatible', ({ reason }) => {
+            logger.error(`对端不兼容，拒绝与其通信: ${reason}`);
+            this.setLinkUp(false, { reason: `对端不兼容: ${reason}` });
+            this.suspendSessions();
+            this.reportError(new Error(`对端不兼容: ${reason}`));
+        });
+
+        handshake.on('auth-failure', ({ count }) => {
+            logger.warn(`丢弃未通过认证的握手帧 (累计 ${count} 个)，对端未设置预共享密钥或密钥不一致？`);
+        });
+
+        handshake.on('warning', (message) => {
+            logger.warn(message);
+        });
+
+        secure.on('payload', (payload) => {
+            link.receive(payload);
+        });
+
+        secure.on('established', ({ rekey }) => {
+            logger.info(rekey ? '对端重新握手，已更换会话密钥' : '加密链路已建立');
+            scheduler.pump();
+        });
+
+        secure.on('auth-failure', ({ reason, count }) => {
+            logger.warn(`丢弃未通过认证的帧: ${reason} (累计 ${count} 个)`);
+        });
+
+        secure.on('warning', (message) => {
+            logger.warn(message);
+        });
+
+        link.on('packet', (packet) => {
+            this.packetDecoder.write(packet);
+        });
+
+        // 处理对端发来的数据包
+        this.packetDecoder.on('data', (packet) => {
+            this.handlePacket(packet);
+        });
+
+        this.packetDecoder.on('invalid', ({ reason }) => {
+            logger.warn(`${reason}，已丢弃`);
+        });
+
+        link.on('synced', () => {
+            logger.info('可靠传输层已与对端同步');
+        });
+
+        link.on('peer-restart', () => {
+            logger.warn('检测到对端已重启，丢弃未确认的数据并重新同步');
+        });
+
+        link.on('retransmit', ({ count, rto }) => {
+            logger.debug(`重传 ${count} 个未确认的帧 (超时 ${rto}ms)`);
+        });
+
+        link.on('warning', (message) => {
+            logger.warn(message);
+        });
+
+        // 损坏的帧被丢弃，解析器会在下一个有效帧处重新同步
+        frameParser.on('corrupt', ({ reason, stats }) => {
+            logger.warn(`丢弃损坏的帧: ${reason} (累计 ${stats.corruptFrames} 个损坏帧, 丢弃 ${stats.droppedBytes} 字节)`);
+        });
+
+        transport.on('error', (err) => {
+            logger.error(`${this.linkName}错误:`, err.message);
+            this.reportError(err);
+        });
+    }
+
+    // 编码发往对端的数据包，type 为命令名（见 COMMAND_NAMES）；地址无法编码时抛出异常
+    encodePacket(type, clientId, data, targetHost, targetPort) {
+        return this.packetEncoder.encode({ type, clientId, data, targetHost, targetPort });
+    }
+
+    // 向对端发送窗口更新，归还发送信用
+    sendWindowUpdate(clientId, bytes) {
+        const target = this.sessionTarget(clientId);
+        if (!target || !this.transport.isOpen) {
+            return;
+        }
+        const credit = Buffer.alloc(4);
+        credit.writeUInt32BE(bytes, 0);
+        const packet = this.encodePacket('window-update', clientId, credit, target.host, target.port);
+        this.link.send(packet, (err) => {
+            if (err) {
+                this.logger.error(`发送窗口更新失败 ${clientId}:`, err.message);
+            }
+        });
+    }
+
+    // 按对端在握手中通告的能力调整本端的发送方式
+    applyPeerCapabilities(peer) {
+        const { compression, logger } = this;
+        if (compression.setPeerEnabled((peer.capabilities & CAP_COMPRESSION) !== 0)) {
+            logger.info(`数据压缩已${compression.isActive() ? '启用' : '停用'}`);
+        } else if (this.options.compression && !compression.isActive()) {
+            logger.warn('对端未启用压缩，数据将不压缩发送');
+        }
+
+        // 分片不超过对端能接收的最大帧：扣除数据包头（最长280字节）以及链路层和加密层的开销
+        this.scheduler.fragmentSize = Math.max(64, Math.min(DEFAULT_FRAGMENT_SIZE, peer.maxFrame - 320));
+    }
+
+    // 会话保留：两个方向都启用可靠传输时，链路断开后在宽限期内保留会话并暂停读取会话的套接字，
+    // 期间的数据留在调度器和可靠传输层中，链路恢复后重传；否则断开的链路上丢失的数据无法恢复，立即关闭会话
+    canResumeSessions() {
+        const peer = this.handshake.peer;
+        return this.options.sessionGrace > 0 && this.options.reliable && peer !== null && (peer.capabilities & CAP_RELIABLE) !== 0;
+    }
+
+    suspendSessions() {
+        if (this.graceTimer || this.sessionCount() === 0) {
+            return;
+        }
+        if (!this.canResumeSessions()) {
+            this.closeAllSessions(REASON_LINK_DOWN);
+            return;
+        }
+        const grace = this.options.sessionGrace;
+        this.logger.warn(`保留 ${this.sessionCount()} 个会话，等待链路恢复 (宽限期 ${grace}ms)`);
+        this.flowControl.setLinkBlocked(true);
+        this.graceTimer = setTimeout(() => {
+            this.logger.error(`链路未在 ${grace}ms 内恢复，关闭保留的会话`);
+            this.endSuspension();
+            this.closeAllSessions(REASON_LINK_DOWN);
+        }, grace);
+    }
+
+    resumeSessions() {
+        if (this.graceTimer) {
+            this.logger.info(`继续 ${this.sessionCount()} 个保留的会话`);
+            this.endSuspension();
+        }
+    }
+
+    endSuspension() {
+        clearTimeout(this.graceTimer);
+        this.graceTimer = null;
+        this.flowControl.setLinkBlocked(false);
+    }
+
+    rememberLinkClosedSession(clientId) {
+        this.linkClosedSessions.add(clientId);
+        if (this.linkClosedSessions.size > MAX_LINK_CLOSED_SESSIONS) {
+            this.linkClosedSessions.delete(this.linkClosedSessions.values().next().value);
+        }
+    }
+}
+
+module.exports = {
+    BridgeBase,
+    REASON_LINK_DOWN
+};
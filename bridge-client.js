@@ -0,0 +1,917 @@
+const net = require('net');
+const dgram = require('dgram');
+const dns = require('dns');
+const fs = require('fs');
+const path = require('path');
+const { BridgeBase } = require('./bridge-base');
+const { loadPreSharedKey } = require('./secure-channel');
+const { TargetPolicy, REASON_NOT_ALLOWED } = require('./target-policy');
+const { MAX_TIMEOUT } = require('./mapping-config');
+const {
+    CMD_DATA, CMD_CONNECT, CMD_DISCONNECT, CMD_CONNECT_OK, CMD_CONNECT_FAIL,
+    CMD_WINDOW_UPDATE, CMD_REVERSE_MAPPINGS, CMD_UDP_DATA, CMD_UDP_OPEN, newClientId, describeCommand
+} = require('./codec');
+
+const CONNECT_TIMEOUT = 10000; // 连接目标的超时时间
+const CONNECT_RESULT_TIMEOUT = 15000; // 反向映射中等待服务端连接目标结果的超时时间
+const UDP_IDLE_TIMEOUT = 60000; // UDP会话在该时间内没有收发数据报即关闭（服务端通过 udp-open 告知映射的超时后按映射的超时）
+const MAX_PENDING_DATAGRAMS = 16; // 目标地址解析完成前暂存的数据报数量
+
+// 客户端侧：按服务端经链路（默认为串口）发来的请求连接目标，并为反向映射打开本地监听
+// options 的字段与配置文件相同（port、baud、allowlist、reliable ...），另外可以指定：
+//   logger          日志记录器，提供 debug / verbose / info / warn / error，省略时按 debug、quiet 等选项创建
+//   allowedTargets  允许的目标数组（格式与允许列表文件的 allowedTargets 相同），指定时不读取 allowlist 文件
+//   linkStream      链路使用的双工流（例如与服务端相连的内存管道），指定时忽略 transport 和串口选项；流结束后不会重新打开
+// 省略 allowlist 且默认的允许列表文件不存在、或 allowlist 为空字符串时拒绝所有目标；允许任何目标需要设置 allowAny
+// 事件：
+//   'link-up' { peer }            链路可用（首次握手完成、链路恢复或对端重启后）
+//   'link-down' { reason }        链路断开
+//   'session-open' { id, type, localPort, address, remoteHost, remotePort }  type 为 tcp、udp 或 reverse，
+//                                 tcp 和 udp 会话没有 localPort 和 address
+//   'session-close' { id, type }
+//   'listening' { protocol, localPort }  反向映射的本地监听
+//   'error' (err)                 链路、监听等错误；已记录日志并会自动恢复，只在有监听器时触发
+//   'close' (err)                 stop() 完成，err 为关闭时发生的错误
+class BridgeClient extends BridgeBase {
+    constructor(options = {}) {
+        super('client', options, 'TCP-CLIENT');
+        // 省略 allowlist 时使用默认的允许列表文件，该文件可以不存在（此时拒绝所有目标）
+        this.allowlistIsDefault = options.allowlist === undefined;
+
+        // 客户端管理
+        this.clients = new Map();
+        // 反向映射：本端监听，由服务端连接目标
+        this.reverseListeners = new Map(); // localPort -> { server, mapping }
+        this.reverseClients = new Map();   // clientId -> 本地连接的会话
+        // UDP映射的会话：收到服务端的第一个数据报时创建
+        this.udpTargets = new Map(); // clientId -> session
+
+        // 目标允许列表
+        this.targetPolicy = null;
+    }
+
+    // 启动：读取允许列表和预共享密钥后打开链路；配置无效时 reject
+    async start() {
+        if (this.state !== 'idle') {
+            throw new Error('BridgeClient 只能启动一次');
+        }
+
+        try {
+            this.targetPolicy = this.loadTargetPolicy();
+        } catch (err) {
+            throw new Error(`加载目标允许列表失败: ${err.message}`);
+        }
+
+        // 链路加密：配置了预共享密钥时对每个帧做认证加密，否则原样通过
+        let psk = null;
+        if (this.options.pskFile) {
+            try {
+                psk = loadPreSharedKey(this.options.pskFile);
+            } catch (err) {
+                throw new Error(`读取预共享密钥失败: ${err.message}`);
+            }
+        }
+
+        try {
+            this.setupLink(psk);
+        } catch (err) {
+            throw new Error(`${this.linkName}初始化失败: ${err.message}`);
+        }
+        this.state = 'running';
+        this.reconnector.start();
+    }
+
+    // 加载目标允许列表：指定的文件不存在或格式错误时抛出异常
+    // 没有允许列表时拒绝所有目标，只有明确设置 allowAny 时才允许任何目标
+    loadTargetPolicy() {
+        let policy;
+        const file = this.options.allowlist === '' ? null : path.resolve(this.options.allowlist);
+        if (this.options.allowAny) {
+            this.logger.warn('已设置 allow-any，将允许连接任何目标');
+            return new TargetPolicy();
+        } else if (this.options.allowedTargets) {
+            policy = TargetPolicy.fromConfig({ allowedTargets: this.options.allowedTargets });
+        } else if (!file || (this.allowlistIsDefault && !fs.existsSync(file))) {
+            this.logger.warn(`${file ? `未找到允许列表 ${file}` : '未指定允许列表'}，将拒绝所有目标（允许任何目标需要设置 allow-any）`);
+            policy = new TargetPolicy([]);
+        } else {
+            policy = TargetPolicy.load(file);
+        }
+        this.logger.info(`已加载目标允许列表: ${policy.describe().join(', ') || '(空，拒绝所有目标)'}`);
+        return policy;
+    }
+    // 创建到目标端口的连接；checkAddress 为 true 时在DNS解析后按允许列表检查地址
+    createTargetConnection(clientId, targetHost, targetPort, priority, checkAddress) {
+        const { logger, flowControl, scheduler, clients } = this;
+        return new Promise((resolve, reject) => {
+            const socket = new net.Socket();
+
+            // 连接建立前就登记，以便在连接过程中也能处理断开请求
+            const clientInfo = {
+                id: clientId,
+                socket: socket,
+                connected: false,
+                closedByPeer: false,   // 由服务端的断开请求关闭，无需再通知服务端
+                targetHost: targetHost,
+                targetPort: targetPort,
+                priority: priority     // 调度权重，与服务端映射的 priority 一致
+            };
+            clients.set(clientId, clientInfo);
+
+            // 目标为域名时由客户端侧进行DNS解析
+            socket.on('lookup', (err, address, family, host) => {
+                if (err) {
+                    logger.error(`解析目标主机失败 ${clientId}: ${host}`, err.message);
+                } else {
+                    logger.debug(`目标主机 ${host} 解析为 ${address} (IPv${family})`);
+                }
+            });
+
+            // 连接超时
+            socket.setTimeout(CONNECT_TIMEOUT, () => {
+                const err = new Error(`连接目标超时 (${CONNECT_TIMEOUT}ms)`);
+                err.code = 'ETIMEDOUT';
+                socket.destroy(err);
+            });
+
+            const connectOptions = { port: targetPort, host: targetHost };
+            if (checkAddress) {
+                connectOptions.lookup = this.targetPolicy.createLookup(targetPort);
+            }
+
+            socket.connect(connectOptions, () => {
+                logger.info(`为客户端 ${clientId} 建立到 ${targetHost}:${targetPort} 的连接`);
+
+                socket.setTimeout(0);
+                clientInfo.connected = true;
+                flowControl.open(clientId, socket);
+                this.emit('session-open', { id: clientId, type: 'tcp', remoteHost: targetHost, remotePort: targetPort });
+
+                // 处理目标服务器的响应数据
+                socket.on('data', (data) => {
+                    logger.verbose(`收到目标服务器响应 ${clientId}: ${data.length} 字节`);
+
+                    // 将响应数据通过串口发送回服务端；链路暂时断开时数据留在调度器中，恢复后发送
+                    const writable = scheduler.enqueueData(clientId, data, (fragment) => {
+                        return this.encodePacket('data', clientId, fragment, targetHost, targetPort);
+                    }, priority);
+
+                    // 扣减发送信用；发送队列过长时暂停所有目标连接
+                    flowControl.onSent(clientId, data.length);
+                    if (!writable) {
+                        flowControl.setLinkBlocked(true);
+                    }
+                });
+
+                socket.on('close', () => {
+                    logger.info(`到目标服务器的连接已关闭: ${clientId}`);
+                    clients.delete(clientId);
+                    flowControl.close(clientId);
+
+                    // 发送客户端关闭通知给服务器，排在该连接剩余数据之后
+                    if (this.transport.isOpen && !clientInfo.closedByPeer) {
+                        const packet = this.encodePacket('disconnect', clientId, '', targetHost, targetPort);
+                        scheduler.enqueuePacket(clientId, packet);
+                        logger.debug(`发送客户端关闭通知 ${clientId}`);
+                    }
+                    this.emit('session-close', { id: clientId, type: 'tcp' });
+                });
+
+                socket.on('error', (err) => {
+                    logger.error(`目标连接错误 ${clientId}:`, err.message);
+                    clients.delete(clientId);
+                });
+
+                resolve(clientInfo);
+            });
+
+            socket.on('error', (err) => {
+                if (!clientInfo.connected) {
+                    logger.error(`连接到目标失败 ${clientId}:`, err.message);
+                    clients.delete(clientId);
+                    reject(err);
+                }
+            });
+
+            // 连接建立前被服务端的断开请求取消
+            socket.on('close', () => {
+                if (!clientInfo.connected) {
+                    const err = new Error('连接已被取消');
+                    err.code = 'ECONNABORTED';
+                    reject(err);
+                }
+            });
+        });
+    }
+
+    // 处理UDP会话的数据包：会话在收到 udp-open 或第一个数据报时创建，目标按允许列表检查后从本端的UDP套接字发出
+    handleUdpPacket(packet) {
+        const { cmd, clientId, targetHost, targetPort, data } = packet;
+        const { logger } = this;
+        let session = this.udpTargets.get(clientId);
+
+        if (cmd === CMD_DISCONNECT) {
+            if (session) {
+                logger.info(`UDP会话已被服务端关闭: ${session.targetHost}:${session.targetPort} (ID: ${clientId})`);
+                this.closeUdpTarget(session);
+            }
+            return;
+        }
+        if (cmd !== CMD_UDP_DATA && cmd !== CMD_UDP_OPEN) {
+            logger.warn(`UDP会话忽略不适用的命令: ${describeCommand(cmd)}`);
+            return;
+        }
+
+        if (!session) {
+            session = this.openUdpTarget(clientId, targetHost, targetPort);
+        }
+        if (cmd === CMD_UDP_OPEN) {
+            // 服务端给出的映射空闲超时
+            if (data.length === 4 && data.readUInt32BE(0) > 0) {
+                session.idleTimeout = data.readUInt32BE(0);
+            } else {
+                logger.warn(`UDP会话的空闲超时无效，使用默认值 ${UDP_IDLE_TIMEOUT}ms (ID: ${clientId})`);
+            }
+        }
+        this.touchUdpTarget(session);
+        if (cmd === CMD_UDP_OPEN) {
+            return;
+        }
+
+        if (session.rejected) {
+            return;
+        }
+        if (session.ready) {
+            session.socket.send(data, (err) => {
+                if (err) {
+                    logger.error(`发送UDP数据报失败 ${clientId}:`, err.message);
+                }
+            });
+        } else if (session.pending.length < MAX_PENDING_DATAGRAMS) {
+            // 目标地址解析完成前暂存
+            session.pending.push(data);
+        }
+    }
+
+    // 创建UDP会话：解析并检查目标地址后创建连接到目标的UDP套接字，目标的应答作为数据报发回服务端
+    openUdpTarget(clientId, targetHost, targetPort) {
+        const { logger, targetPolicy, udpTargets } = this;
+        const session = {
+            id: clientId,
+            targetHost: targetHost,
+            targetPort: targetPort,
+            socket: null,
+            ready: false,      // 套接字已连接到目标地址
+            pending: [],
+            rejected: false,   // 目标不在允许列表中，空闲超时前丢弃该会话的数据报
+            idleTimeout: UDP_IDLE_TIMEOUT,
+            idleTimer: null
+        };
+        udpTargets.set(clientId, session);
+        this.emit('session-open', { id: clientId, type: 'udp', remoteHost: targetHost, remotePort: targetPort });
+
+        const decision = targetPolicy.check(targetHost, targetPort);
+        if (decision === 'deny') {
+            logger.warn(`拒绝转发到不在允许列表中的UDP目标: ${targetHost}:${targetPort} (ID: ${clientId})`);
+            session.rejected = true;
+            this.sendDisconnect(clientId, targetHost, targetPort, REASON_NOT_ALLOWED);
+            return session;
+        }
+
+        logger.info(`UDP会话 ${clientId}: ${targetHost}:${targetPort}`);
+        const lookup = decision === 'resolve' ? targetPolicy.createLookup(targetPort) : dns.lookup;
+        lookup(targetHost, {}, (err, address, family) => {
+            if (udpTargets.get(clientId) !== session) {
+                return;
+            }
+            if (err) {
+                const code = err.code || 'EUNKNOWN';
+                if (code === REASON_NOT_ALLOWED) {
+                    logger.warn(`拒绝转发到不在允许列表中的UDP目标: ${err.message} (ID: ${clientId})`);
+                    session.rejected = true;
+                    session.pending = [];
+                } else {
+                    logger.error(`解析UDP目标失败 ${targetHost}:`, err.message);
+                    this.closeUdpTarget(session);
+                }
+                this.sendDisconnect(clientId, targetHost, targetPort, code);
+                return;
+            }
+
+            const socket = dgram.createSocket(family === 6 ? 'udp6' : 'udp4');
+            session.socket = socket;
+
+            socket.on('message', (message) => {
+                this.touchUdpTarget(session);
+                // 数据报不分片，也不排队等待：过大或发送队列已满时直接丢弃
+                if (message.length > this.handshake.peer.maxFrame - 320) {
+                    logger.warn(`UDP应答过大 (${message.length} 字节)，已丢弃 (ID: ${clientId})`);
+                    return;
+                }
+                if (this.scheduler.isFull()) {
+                    logger.verbose(`发送队列已满，丢弃 ${message.length} 字节的UDP应答 (ID: ${clientId})`);
+                    return;
+                }
+                this.scheduler.enqueuePacket(clientId, this.encodePacket('udp-data', clientId, message, targetHost, targetPort));
+            });
+
+            // 目标端口不可达等错误不关闭会话，由空闲超时清理
+            socket.on('error', (socketErr) => {
+                logger.debug(`UDP目标错误 ${clientId}:`, socketErr.message);
+            });
+
+            // 连接后只接收来自目标地址的数据报
+            socket.connect(targetPort, address, () => {
+                session.ready = true;
+                session.pending.forEach(datagram => socket.send(datagram));
+                session.pending = [];
+            });
+        });
+        return session;
+    }
+
+    // 会话在空闲超时内没有收发数据报时关闭，并通知服务端关闭对应的会话：
+    // 通常服务端按同样的超时先关闭，但 udp-open 丢失或服务端是旧版本时两端的超时可能不同
+    touchUdpTarget(session) {
+        clearTimeout(session.idleTimer);
+        session.idleTimer = setTimeout(() => {
+            this.logger.info(`UDP会话空闲超时: ${session.targetHost}:${session.targetPort} (ID: ${session.id})`);
+            this.closeUdpTarget(session);
+            if (this.transport.isOpen && !session.rejected) {
+                this.sendDisconnect(session.id, session.targetHost, session.targetPort, 'ETIMEDOUT');
+            }
+        }, Math.min(session.idleTimeout, MAX_TIMEOUT));
+    }
+
+    closeUdpTarget(session) {
+        clearTimeout(session.idleTimer);
+        if (this.udpTargets.delete(session.id)) {
+            this.emit('session-close', { id: session.id, type: 'udp' });
+        }
+        if (session.socket) {
+            session.socket.close();
+        }
+    }
+
+    // 通知服务端断开连接，reason 为原因码（例如 ENOTALLOWED）
+    sendDisconnect(clientId, targetHost, targetPort, reason) {
+        const packet = this.encodePacket('disconnect', clientId, reason, targetHost, targetPort);
+        this.link.send(packet, (err) => {
+            if (err) {
+                this.logger.error(`发送断开通知失败 ${clientId}:`, err.message);
+            } else {
+                this.logger.debug(`发送断开通知 ${clientId}: ${reason}`);
+            }
+        });
+    }
+
+    sessionCount() {
+        return this.clients.size + this.reverseClients.size;
+    }
+
+    sessionTarget(clientId) {
+        const client = this.clients.get(clientId) || this.reverseClients.get(clientId);
+        return client ? { host: client.targetHost, port: client.targetPort } : null;
+    }
+
+    // 关闭所有目标连接和反向映射的本地连接；notify 为真且串口打开时尽力通知服务端（可靠模式下链路恢复后会重传）
+    closeAllSessions(reason, notify = true) {
+        const count = this.sessionCount();
+        [...this.clients, ...this.reverseClients].forEach(([clientId, client]) => {
+            this.rememberLinkClosedSession(clientId);
+            client.closedByPeer = true;
+            this.scheduler.discard(clientId);
+            if (notify && this.transport.isOpen) {
+                this.sendDisconnect(clientId, client.targetHost, client.targetPort, reason);
+            }
+            clearTimeout(client.connectTimer);
+            client.socket.destroy();
+        });
+        this.clients.clear();
+        this.reverseClients.clear();
+        if (count > 0) {
+            this.logger.warn(`已关闭 ${count} 个连接 (${reason})`);
+        }
+    }
+
+    // 处理接收到的数据包
+    handlePacket(packet) {
+        const { cmd, clientId, targetHost, targetPort, data } = packet;
+        const { logger, clients, flowControl } = this;
+
+        if (this.linkClosedSessions.has(clientId)) {
+            logger.debug(`丢弃已因链路断开而关闭的会话的数据包: ${clientId}`);
+            return;
+        }
+
+        // 反向映射的列表和会话（连接结果只会出现在反向映射会话中）
+        if (cmd === CMD_REVERSE_MAPPINGS || cmd === CMD_CONNECT_OK || cmd === CMD_CONNECT_FAIL || this.reverseClients.has(clientId)) {
+            this.handleReversePacket(packet);
+            return;
+        }
+
+        if (cmd === CMD_UDP_DATA || cmd === CMD_UDP_OPEN || this.udpTargets.has(clientId)) {
+            this.handleUdpPacket(packet);
+            return;
+        }
+
+        switch (cmd) {
+            case CMD_CONNECT: {
+                logger.info(`收到连接请求 ${clientId}: ${targetHost}:${targetPort}`);
+                if (clients.has(clientId)) {
+                    logger.warn(`客户端 ${clientId} 已存在，忽略重复的连接请求`);
+                    break;
+                }
+
+                // 按允许列表检查目标，拒绝时以带原因码的断开连接通知服务端
+                const decision = this.targetPolicy.check(targetHost, targetPort);
+                if (decision === 'deny') {
+                    logger.warn(`拒绝连接到不在允许列表中的目标: ${targetHost}:${targetPort} (ID: ${clientId})`);
+                    this.sendDisconnect(clientId, targetHost, targetPort, REASON_NOT_ALLOWED);
+                    break;
+                }
+
+                // 连接请求的数据部分为调度权重
+                const priority = data.length > 0 ? data.readUInt8(0) : 1;
+                this.createTargetConnection(clientId, targetHost, targetPort, priority, decision === 'resolve').then(() => {
+                    // 连接期间服务端可能已经断开
+                    if (!clients.has(clientId)) {
+                        return;
+                    }
+                    const packet = this.encodePacket('connect-ok', clientId, '', targetHost, targetPort);
+                    this.link.send(packet, (err) => {
+                        if (err) {
+                            logger.error(`发送连接成功通知失败 ${clientId}:`, err.message);
+                        } else {
+                            logger.debug(`发送连接成功通知 ${clientId}`);
+                        }
+                    });
+                }).catch(err => {
+                    if (err.code === 'ECONNABORTED') {
+                        logger.debug(`连接请求已被服务端取消 ${clientId}`);
+                        return;
+                    }
+                    if (err.code === REASON_NOT_ALLOWED) {
+                        logger.warn(`拒绝连接到不在允许列表中的目标: ${err.message} (ID: ${clientId})`);
+                        this.sendDisconnect(clientId, targetHost, targetPort, REASON_NOT_ALLOWED);
+                        return;
+                    }
+
+                    // 将错误码（如 ECONNREFUSED、ETIMEDOUT、ENOTFOUND）报告给服务端
+                    const code = err.code || 'EUNKNOWN';
+                    const packet = this.encodePacket('connect-fail', clientId, code, targetHost, targetPort);
+                    this.link.send(packet, (sendErr) => {
+                        if (sendErr) {
+                            logger.error(`发送连接失败通知失败 ${clientId}:`, sendErr.message);
+                        } else {
+                            logger.debug(`发送连接失败通知 ${clientId}: ${code}`);
+                        }
+                    });
+                });
+                break;
+            }
+
+            case CMD_DATA:
+                logger.verbose(`处理数据传输: ${clientId}, 目标: ${targetHost}:${targetPort}, 数据长度: ${data.length}`);
+
+                if (clients.has(clientId)) {
+                    const client = clients.get(clientId);
+                    if (client.connected && client.socket) {
+                        client.socket.write(data, (err) => {
+                            if (err) {
+                                logger.error(`写入目标失败 ${clientId}:`, err.message);
+                            } else {
+                                logger.debug(`数据已发送到目标 ${clientId}: ${data.length} 字节`);
+                                // 数据已交给目标连接，向服务端归还发送信用
+                                const grant = flowControl.onConsumed(clientId, data.length);
+                                if (grant > 0) {
+                                    this.sendWindowUpdate(clientId, grant);
+                                }
+                            }
+                        });
+                    }
+                } else {
+                    // 没有经过CONNECT握手的会话，通知服务端关闭
+                    logger.warn(`客户端 ${clientId} 不存在，丢弃 ${data.length} 字节数据并通知服务端断开`);
+                    this.sendDisconnect(clientId, targetHost, targetPort, 'ENOSESSION');
+                }
+                break;
+
+            case CMD_WINDOW_UPDATE:
+                if (data.length >= 4) {
+                    flowControl.onWindowUpdate(clientId, data.readUInt32BE(0));
+                    logger.verbose(`收到窗口更新 ${clientId}: +${data.readUInt32BE(0)} 字节 (${flowControl.describe(clientId)})`);
+                }
+                break;
+
+            case CMD_DISCONNECT:
+                logger.info(`处理断开连接: ${clientId}${data.length > 0 ? ` (${data.toString('utf8')})` : ''}`);
+                // 服务端已关闭连接，丢弃尚未发送的数据
+                this.scheduler.discard(clientId);
+                if (clients.has(clientId)) {
+                    const client = clients.get(clientId);
+                    client.closedByPeer = true;
+                    if (client.socket) {
+                        // 仍在连接中的套接字直接销毁
+                        if (client.connected) {
+                            client.socket.end();
+                        } else {
+                            client.socket.destroy();
+                        }
+                    }
+                    clients.delete(clientId);
+                }
+                break;
+
+            default:
+                logger.warn(`忽略不适用的命令: ${describeCommand(cmd)} (ID: ${clientId})`);
+                break;
+        }
+    }
+
+    // 处理反向映射的列表和会话数据包
+    handleReversePacket(packet) {
+        const { cmd, clientId, data } = packet;
+        const { logger, flowControl } = this;
+
+        if (cmd === CMD_REVERSE_MAPPINGS) {
+            let mappings;
+            try {
+                mappings = JSON.parse(data.toString('utf8'));
+            } catch (err) {
+                logger.warn('反向映射列表格式错误:', err.message);
+                return;
+            }
+            this.syncReverseListeners(Array.isArray(mappings) ? mappings : []);
+            return;
+        }
+
+        const session = this.reverseClients.get(clientId);
+        if (!session) {
+            logger.warn(`反向映射会话 ${clientId} 不存在，忽略命令 ${describeCommand(cmd)}`);
+            return;
+        }
+
+        switch (cmd) {
+            case CMD_CONNECT_OK:
+                logger.info(`反向映射目标连接已建立: ${session.targetHost}:${session.targetPort} (ID: ${clientId})`);
+                clearTimeout(session.connectTimer);
+                session.connected = true;
+                // 登记到流量控制，由其恢复套接字的读取
+                flowControl.open(clientId, session.socket, true);
+                break;
+
+            case CMD_CONNECT_FAIL:
+                logger.error(`服务端连接反向映射目标失败: ${session.targetHost}:${session.targetPort} (${data.toString('utf8') || 'EUNKNOWN'}), 关闭本地连接 ${session.address} (ID: ${clientId})`);
+                clearTimeout(session.connectTimer);
+                session.connectFailed = true;
+                session.socket.destroy();
+                break;
+
+            case CMD_DATA:
+                if (!session.socket.destroyed) {
+                    session.socket.write(data, (err) => {
+                        if (err) {
+                            logger.error(`写入反向映射本地连接失败 ${clientId}:`, err.message);
+                        } else {
+                            const grant = flowControl.onConsumed(clientId, data.length);
+                            if (grant > 0) {
+                                this.sendWindowUpdate(clientId, grant);
+                            }
+                        }
+                    });
+                }
+                break;
+
+            case CMD_WINDOW_UPDATE:
+                if (data.length >= 4) {
+                    flowControl.onWindowUpdate(clientId, data.readUInt32BE(0));
+                }
+                break;
+
+            case CMD_DISCONNECT: {
+                const reason = data.toString('utf8');
+                logger.info(`处理反向映射断开连接: ${clientId}${reason ? ` (${reason})` : ''}`);
+                this.scheduler.discard(clientId);
+                this.reverseClients.delete(clientId);
+                clearTimeout(session.connectTimer);
+                if (!session.connected) {
+                    // 服务端拒绝了连接请求，服务端没有会话，无需再通知
+                    session.connectFailed = true;
+                    session.socket.destroy();
+                } else {
+                    session.closedByPeer = true;
+                    session.socket.end();
+                }
+                break;
+            }
+
+            default:
+                logger.warn(`反向映射会话忽略不适用的命令: ${describeCommand(cmd)}`);
+                break;
+        }
+    }
+
+    // 按服务端发来的反向映射列表打开新的监听，关闭不在列表中的监听（已建立的连接不受影响）
+    syncReverseListeners(mappings) {
+        const { logger, reverseListeners } = this;
+        const wanted = new Map();
+        mappings.forEach(mapping => {
+            const port = mapping && mapping.localPort;
+            if (!Number.isInteger(port) || port < 1 || port > 65535) {
+                logger.warn(`忽略无效的反向映射: ${JSON.stringify(mapping)}`);
+                return;
+            }
+            wanted.set(port, mapping);
+        });
+
+        reverseListeners.forEach((listener, port) => {
+            if (!wanted.has(port)) {
+                logger.info(`关闭反向映射监听: 端口 ${port}`);
+                listener.server.close();
+                reverseListeners.delete(port);
+            }
+        });
+
+        wanted.forEach((mapping, port) => {
+            let listener = reverseListeners.get(port);
+            if (listener && listener.mapping.bindAddress !== mapping.bindAddress) {
+                // 监听地址改变时重新监听，原监听上的连接继续
+                logger.info(`反向映射的监听地址已修改: 端口 ${port}`);
+                listener.server.close();
+                reverseListeners.delete(port);
+                listener = null;
+            }
+            if (listener) {
+                listener.mapping = mapping;
+            } else {
+                this.createReverseListener(mapping);
+            }
+        });
+    }
+
+    // 为反向映射打开本地监听：接受的连接以 CONNECT 请求交给服务端，由服务端连接目标
+    createReverseListener(mapping) {
+        const { logger, flowControl, scheduler } = this;
+        const listener = { server: null, mapping: mapping, connections: 0 };
+
+        listener.server = net.createServer((socket) => {
+            const current = listener.mapping;
+            const priority = Math.min(255, Math.max(1, parseInt(current.priority) || 1));
+            const clientId = newClientId();
+            const session = {
+                id: clientId,
+                socket: socket,
+                address: `${socket.remoteAddress}:${socket.remotePort}`,
+                targetHost: current.remoteHost,
+                targetPort: current.remotePort,
+                connected: false,      // 服务端是否已确认目标连接
+                connectFailed: false,
+                closedByPeer: false,   // 由服务端的断开请求关闭，无需再通知服务端
+                connectTimer: null
+            };
+
+            if (!this.transport.isOpen || !this.handshake.isReady()) {
+                logger.warn(`${this.linkName}未打开或对端未就绪，拒绝来自 ${session.address} 的反向映射连接`);
+                socket.destroy();
+                return;
+            }
+
+            if (current.maxConnections && listener.connections >= current.maxConnections) {
+                logger.warn(`反向映射端口 ${current.localPort} 的连接数已达上限 ${current.maxConnections}，拒绝来自 ${session.address} 的连接`);
+                socket.destroy();
+                return;
+            }
+            listener.connections++;
+
+            this.reverseClients.set(clientId, session);
+            logger.info(`反向映射连接到端口 ${current.localPort}: ${session.address} -> ${current.remoteHost}:${current.remotePort} (ID: ${clientId})`);
+            this.emit('session-open', { id: clientId, type: 'reverse', localPort: current.localPort, address: session.address, remoteHost: current.remoteHost, remotePort: current.remotePort });
+
+            // 两个方向都没有数据超过 idleTimeout（毫秒）时关闭连接
+            if (current.idleTimeout) {
+                socket.setTimeout(current.idleTimeout, () => {
+                    logger.info(`反向映射连接空闲超过 ${current.idleTimeout}ms，关闭: ${session.address} (ID: ${clientId})`);
+                    socket.destroy();
+                });
+            }
+
+            socket.on('data', (data) => {
+                // 链路暂时断开时数据留在调度器中，恢复后发送
+                const writable = scheduler.enqueueData(clientId, data, (fragment) => {
+                    return this.encodePacket('data', clientId, fragment, current.remoteHost, current.remotePort);
+                }, priority);
+
+                flowControl.onSent(clientId, data.length);
+                if (!writable) {
+                    flowControl.setLinkBlocked(true);
+                }
+            });
+
+            socket.on('close', () => {
+                logger.info(`反向映射本地连接已关闭: ${session.address} (ID: ${clientId})`);
+                listener.connections--;
+                clearTimeout(session.connectTimer);
+                this.reverseClients.delete(clientId);
+                flowControl.close(clientId);
+
+                // 排在该连接剩余数据之后通知服务端（连接失败时服务端没有会话）
+                if (!session.connectFailed && !session.closedByPeer) {
+                    scheduler.enqueuePacket(clientId, this.encodePacket('disconnect', clientId, '', current.remoteHost, current.remotePort));
+                }
+                this.emit('session-close', { id: clientId, type: 'reverse' });
+            });
+
+            socket.on('error', (err) => {
+                logger.error(`反向映射本地连接错误 ${session.address}:`, err.message);
+            });
+
+            // 暂停读取，直到服务端确认目标连接已建立
+            socket.pause();
+            session.connectTimer = setTimeout(() => {
+                logger.error(`等待反向映射目标连接结果超时: ${current.remoteHost}:${current.remotePort} (ID: ${clientId})`);
+                socket.destroy();
+            }, CONNECT_RESULT_TIMEOUT);
+
+            // 数据部分：调度权重(1) + 本端监听端口(2)，服务端按监听端口查找自己的反向映射配置
+            const request = Buffer.alloc(3);
+            request.writeUInt8(priority, 0);
+            request.writeUInt16BE(current.localPort, 1);
+            this.link.send(this.encodePacket('connect', clientId, request, current.remoteHost, current.remotePort), (err) => {
+                if (err) {
+                    logger.error(`发送反向映射连接请求失败 ${clientId}:`, err.message);
+                }
+            });
+        });
+
+        // 未指定 bindAddress 时监听所有地址
+        listener.server.listen(mapping.localPort, mapping.bindAddress, () => {
+            logger.info(`反向映射正在监听端口 ${mapping.bindAddress ? mapping.bindAddress + ' ' : ''}${mapping.localPort} -> 服务端侧 ${mapping.remoteHost}:${mapping.remotePort} (${mapping.description})`);
+            this.emit('listening', { protocol: 'tcp', localPort: mapping.localPort });
+        });
+
+        listener.server.on('error', (err) => {
+            logger.error(`反向映射监听错误 (端口 ${mapping.localPort}):`, err.message);
+            // 下次收到反向映射列表时重试
+            if (this.reverseListeners.get(mapping.localPort) === listener) {
+                this.reverseListeners.delete(mapping.localPort);
+            }
+            this.reportError(err);
+        });
+
+        this.reverseListeners.set(mapping.localPort, listener);
+    }
+
+    // 优雅关闭：通知服务端程序关闭、关闭所有会话，等待可靠传输层送达剩余数据后关闭链路
+    // 多次调用返回同一个 Promise；完成后触发 'close'
+    stop() {
+        if (this.state !== 'running') {
+            return this.stopping || Promise.resolve();
+        }
+        this.state = 'stopped';
+        this.stopping = this.shutdown().then(() => {
+            this.emit('close', null);
+        }, (err) => {
+            this.logger.error('优雅关闭时发生错误:', err.message);
+            this.emit('close', err);
+            throw err;
+        });
+        return this.stopping;
+    }
+
+    async shutdown() {
+        const { logger, link, transport, clients, reverseClients } = this;
+        logger.info('正在优雅关闭客户端...');
+        clearTimeout(this.graceTimer);
+
+        // 链路不可用时（例如从未完成握手或密钥不一致）加密层会把通知排队到握手完成，不再等待其发送
+        const linkUsable = transport.isOpen && this.isLinkUp();
+
+        // 1. 发送程序关闭通知给服务器
+        if (linkUsable) {
+            logger.info('正在发送程序关闭通知...');
+            const programClosePacket = this.encodePacket('program-close', newClientId(), '', '', 0);
+            await new Promise((resolve) => {
+                link.send(programClosePacket, (err) => {
+                    if (err) {
+                        logger.error('发送程序关闭通知失败:', err.message);
+                    } else {
+                        logger.info('程序关闭通知已发送');
+                    }
+                    resolve();
+                });
+            });
+            // 给服务器一点时间处理通知
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+
+        // 停止接受反向映射连接
+        this.reverseListeners.forEach(listener => listener.server.close());
+        this.reverseListeners.clear();
+
+        // 2. 发送客户端关闭通知给服务器（包括反向映射的连接）
+        const sessions = new Map([...clients, ...reverseClients]);
+        const notificationPromises = [];
+
+        sessions.forEach((client, uuid) => {
+            if (linkUsable) {
+                const packet = this.encodePacket('disconnect', uuid, '', client.targetHost, client.targetPort);
+                notificationPromises.push(
+                    new Promise((resolve) => {
+                        link.send(packet, (err) => {
+                            if (err) {
+                                logger.error(`发送客户端关闭通知失败 ${uuid}:`, err.message);
+                            } else {
+                                logger.debug(`发送客户端关闭通知 ${uuid}`);
+                            }
+                            resolve();
+                        });
+                    })
+                );
+            }
+        });
+
+        if (notificationPromises.length > 0) {
+            logger.info(`正在发送 ${notificationPromises.length} 个客户端关闭通知...`);
+            await Promise.all(notificationPromises);
+            // 给服务器一点时间处理通知
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+
+        // 3. 关闭所有目标连接
+        const clientClosePromises = [];
+
+        sessions.forEach((client, uuid) => {
+            if (client.socket && !client.socket.destroyed) {
+                client.closedByPeer = true;
+                clientClosePromises.push(
+                    new Promise((resolve) => {
+                        const timeout = setTimeout(() => {
+                            if (!client.socket.destroyed) {
+                                logger.warn(`强制关闭目标连接: ${client.targetHost}:${client.targetPort} (UUID: ${uuid})`);
+                                client.socket.destroy();
+                            }
+                            resolve();
+                        }, 3000); // 3秒超时
+
+                        client.socket.once('close', () => {
+                            clearTimeout(timeout);
+                            logger.info(`目标连接已关闭: ${client.targetHost}:${client.targetPort} (UUID: ${uuid})`);
+                            resolve();
+                        });
+
+                        client.socket.end();
+                    })
+                );
+            }
+        });
+
+        if (clientClosePromises.length > 0) {
+            logger.info(`正在关闭 ${clientClosePromises.length} 个目标连接...`);
+            await Promise.all(clientClosePromises);
+            logger.info('所有目标连接已关闭');
+        }
+
+        // 4. 清理客户端映射
+        clients.clear();
+        reverseClients.clear();
+        this.udpTargets.forEach(session => this.closeUdpTarget(session));
+
+        // 等待可靠传输层把剩余数据送达对端
+        if (transport.isOpen && !(await link.waitForDelivery(3000))) {
+            logger.warn('部分数据未被对端确认');
+        }
+        link.stop();
+        this.secure.stop();
+        this.handshake.stop();
+        this.scheduler.removeAllListeners('drain');
+
+        if (this.compression.isActive()) {
+            logger.info(`数据压缩统计: ${this.compression.describe()}`);
+        }
+
+        // 5. 关闭链路（不再自动重新打开）；监听的传输即使还没有对端连接也要关闭监听
+        this.reconnector.stop();
+        if (transport.isOpen || this.transportSpec.listen) {
+            await new Promise((resolve) => {
+                const timeout = setTimeout(() => {
+                    logger.warn(`强制关闭${this.linkName}`);
+                    resolve();
+                }, 3000); // 3秒超时
+
+                transport.close(() => {
+                    clearTimeout(timeout);
+                    logger.info(`${this.linkName}已关闭`);
+                    resolve();
+                });
+            });
+        }
+        this.setLinkUp(false, { reason: '已停止' });
+
+        logger.info('客户端已优雅关闭');
+    }
+}
+
+module.exports = {
+    BridgeClient
+};
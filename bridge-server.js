@@ -0,0 +1,1147 @@
+const net = require('net');
+const dgram = require('dgram');
+const fs = require('fs');
+const path = require('path');
+const { BridgeBase, REASON_LINK_DOWN } = require('./bridge-base');
+const { loadPreSharedKey } = require('./secure-channel');
+const { ProxyNegotiator, PROXY_NAMES } = require('./proxy-negotiator');
+const { parsePortMappings, loadPortMappingFile } = require('./mapping-config');
+const { CAP_IPV6, CAP_REVERSE, CAP_UDP, CAP_UDP_TIMEOUT } = require('./handshake');
+const {
+    CMD_DATA, CMD_CONNECT, CMD_DISCONNECT, CMD_PROGRAM_CLOSE, CMD_CONNECT_OK, CMD_CONNECT_FAIL,
+    CMD_WINDOW_UPDATE, CMD_UDP_DATA, newClientId, describeCommand
+} = require('./codec');
+
+const CONNECT_TIMEOUT = 15000; // 等待客户端侧连接目标结果的超时时间
+const DIAL_TIMEOUT = 10000; // 反向映射中连接服务端侧目标的超时时间
+const UDP_IDLE_TIMEOUT = 60000; // UDP会话在该时间内没有收发数据报即关闭
+const MAPPING_WATCH_INTERVAL = 2000; // 检查映射配置文件是否修改的间隔
+const REASON_NOT_ALLOWED = 'ENOTALLOWED'; // 反向映射的连接请求不对应任何配置时的原因码
+
+// 调度权重（1-255），数值越大分到的串口带宽越多
+function mappingPriority(mapping) {
+    return Math.min(255, Math.max(1, parseInt(mapping.priority) || 1));
+}
+
+// 映射的监听地址描述
+function describeListen(mapping) {
+    if (!mapping.bindAddress) {
+        return `${mapping.localPort}`;
+    }
+    return net.isIPv6(mapping.bindAddress) ? `[${mapping.bindAddress}]:${mapping.localPort}` : `${mapping.bindAddress}:${mapping.localPort}`;
+}
+
+// 映射的目标描述，代理端口的目标由每个连接的请求决定
+function describeTarget(mapping) {
+    return mapping.proxy ? `${PROXY_NAMES[mapping.proxy]} 代理` : `${mapping.remoteHost}:${mapping.remotePort}`;
+}
+
+// 拒绝尚未建立目标连接的会话：代理连接按错误码应答代理客户端，普通连接直接关闭
+function refuseSession(clientInfo, code) {
+    if (clientInfo.proxy) {
+        clientInfo.proxy.fail(code);
+    } else {
+        clientInfo.socket.destroy();
+    }
+}
+
+// 等待监听完成，成功或失败都算完成（失败由 'error' 监听器处理）
+function whenBound(emitter) {
+    return new Promise((resolve) => {
+        const done = () => {
+            emitter.removeListener('listening', done);
+            emitter.removeListener('error', done);
+            resolve();
+        };
+        emitter.once('listening', done);
+        emitter.once('error', done);
+    });
+}
+
+// 服务端：在本地端口上接受连接，经链路（默认为串口）交给客户端侧连接目标
+// options 的字段与配置文件相同（port、baud、mapping、reliable ...），另外可以指定：
+//   logger        日志记录器，提供 debug / verbose / info / warn / error，省略时按 debug、quiet 等选项创建
+//   portMappings  端口映射数组（格式与映射配置文件的 portMappings 相同），指定时不读取 mapping 文件
+//   linkStream    链路使用的双工流（例如与客户端侧相连的内存管道），指定时忽略 transport 和串口选项；流结束后不会重新打开
+// 事件：
+//   'link-up' { peer }            链路可用（首次握手完成、链路恢复或对端重启后）
+//   'link-down' { reason }        链路断开
+//   'session-open' { id, type, localPort, address, remoteHost, remotePort }  type 为 tcp、udp 或 reverse
+//   'session-close' { id, type }
+//   'listening' { protocol, localPort }
+//   'error' (err)                 链路、监听等错误；已记录日志并会自动恢复，只在有监听器时触发
+//   'close' (err)                 stop() 完成（包括收到客户端侧的程序关闭通知后），err 为关闭时发生的错误
+class BridgeServer extends BridgeBase {
+    constructor(options = {}) {
+        super('server', options, 'TCP-SERVER');
+        // 端口映射配置文件，直接给出 portMappings 时为 null
+        this.mappingFile = options.portMappings ? null : path.resolve(this.options.mapping);
+
+        // 客户端管理
+        this.clientsByPort = new Map(); // localPort -> Map<clientId, clientInfo>
+        // 反向映射的会话：客户端侧监听，由服务端连接目标
+        this.reverseTargets = new Map(); // clientId -> session
+        // UDP映射的会话：每个来源地址一个会话
+        this.udpSessions = new Map();         // clientId -> session
+        this.udpSessionsBySource = new Map(); // "本地端口/来源地址:来源端口" -> session
+
+        // 端口映射配置
+        this.portMappings = [];
+        this.reverseMappings = []; // direction 为 "reverse" 的映射，localPort 为客户端侧的监听端口
+        this.udpMappings = [];     // protocol 为 "udp" 的映射
+        this.servers = new Map();    // localPort -> { server, mapping }
+        this.udpSockets = new Map(); // localPort -> { socket, mapping }
+    }
+
+    // 启动：读取预共享密钥和端口映射、打开链路并开始监听
+    // 配置无效时 reject（不监听任何端口）；所有端口都完成监听（成功或失败）后 resolve
+    async start() {
+        if (this.state !== 'idle') {
+            throw new Error('BridgeServer 只能启动一次');
+        }
+
+        // 链路加密：配置了预共享密钥时对每个帧做认证加密，否则原样通过
+        let psk = null;
+        if (this.options.pskFile) {
+            try {
+                psk = loadPreSharedKey(this.options.pskFile);
+            } catch (err) {
+                throw new Error(`读取预共享密钥失败: ${err.message}`);
+            }
+        }
+
+        // 配置无效时不启动，避免监听在错误的端口或地址上
+        let mappings;
+        try {
+            mappings = this.readPortMappings();
+        } catch (err) {
+            throw new Error(`加载端口映射配置失败: ${err.message}`);
+        }
+
+        try {
+            this.setupLink(psk);
+        } catch (err) {
+            throw new Error(`${this.linkName}初始化失败: ${err.message}`);
+        }
+        this.state = 'running';
+        this.reconnector.start();
+
+        this.applyPortMappings(mappings);
+        this.syncServers();
+        this.syncUdpSockets();
+        this.watchPortMappings();
+
+        await Promise.all([
+            ...[...this.servers.values()].map(({ server }) => whenBound(server)),
+            ...[...this.udpSockets.values()].map(({ socket }) => whenBound(socket))
+        ]);
+    }
+
+    // 除压缩和分片大小外，提示对端不支持的映射
+    applyPeerCapabilities(peer) {
+        super.applyPeerCapabilities(peer);
+        if (this.udpMappings.length > 0 && !(peer.capabilities & CAP_UDP)) {
+            this.logger.warn('对端不支持UDP转发（版本过旧？），UDP映射的数据报将被丢弃');
+        }
+    }
+
+    onPeerReady() {
+        this.sendReverseMappings();
+    }
+
+    // 根据客户端ID在所有端口中查找客户端
+    findClient(clientId) {
+        for (const clients of this.clientsByPort.values()) {
+            if (clients.has(clientId)) {
+                return clients.get(clientId);
+            }
+        }
+        return null;
+    }
+
+    // 处理从客户端返回的响应数据包
+    handlePacket(packet) {
+        const { cmd, clientId, data } = packet;
+        const { logger, flowControl } = this;
+
+        if (this.linkClosedSessions.has(clientId)) {
+            logger.debug(`丢弃已因链路断开而关闭的会话的数据包: ${clientId}`);
+            return;
+        }
+
+        // 反向映射的会话由客户端侧发起，服务端只会收到反向映射的连接请求
+        if (cmd === CMD_CONNECT || this.reverseTargets.has(clientId)) {
+            this.handleReversePacket(packet);
+            return;
+        }
+
+        if (cmd === CMD_UDP_DATA || this.udpSessions.has(clientId)) {
+            this.handleUdpPacket(packet);
+            return;
+        }
+
+        switch (cmd) {
+            case CMD_CONNECT_OK: {
+                const client = this.findClient(clientId);
+                if (client && client.socket && !client.socket.destroyed) {
+                    logger.info(`目标连接已建立: ${client.mapping.remoteHost}:${client.mapping.remotePort} (ID: ${clientId})`);
+                    clearTimeout(client.connectTimer);
+                    client.connected = true;
+                    if (client.proxy) {
+                        client.proxy.succeed();
+                    }
+                    // 登记到流量控制，由其恢复套接字的读取
+                    flowControl.open(clientId, client.socket, true);
+                } else {
+                    logger.warn(`连接成功通知的客户端不存在: ${clientId}`);
+                }
+                break;
+            }
+
+            case CMD_CONNECT_FAIL: {
+                const code = data.toString('utf8') || 'EUNKNOWN';
+                const client = this.findClient(clientId);
+                if (client) {
+                    logger.error(`客户端侧连接目标失败: ${client.mapping.remoteHost}:${client.mapping.remotePort} (${code}), 关闭本地连接 ${client.address} (ID: ${clientId})`);
+                    clearTimeout(client.connectTimer);
+                    client.connectFailed = true;
+                    if (client.socket && !client.socket.destroyed) {
+                        refuseSession(client, code);
+                    }
+                } else {
+                    logger.warn(`连接失败通知的客户端不存在: ${clientId} (${code})`);
+                }
+                break;
+            }
+
+            case CMD_WINDOW_UPDATE:
+                if (data.length >= 4) {
+                    flowControl.onWindowUpdate(clientId, data.readUInt32BE(0));
+                    logger.verbose(`收到窗口更新 ${clientId}: +${data.readUInt32BE(0)} 字节 (${flowControl.describe(clientId)})`);
+                }
+                break;
+
+            case CMD_DATA: {
+                logger.debug(`收到响应数据: ${clientId}, 数据长度: ${data.length}`);
+
+                const targetClient = this.findClient(clientId);
+                if (targetClient && targetClient.socket && !targetClient.socket.destroyed) {
+                    targetClient.socket.write(data, (err) => {
+                        if (err) {
+                            logger.error(`发送响应数据失败 ${clientId}:`, err.message);
+                        } else {
+                            logger.debug(`响应数据已发送到客户端 ${clientId}: ${data.length} 字节`);
+                            // 数据已交给本地连接，向客户端侧归还发送信用
+                            const grant = flowControl.onConsumed(clientId, data.length);
+                            if (grant > 0) {
+                                this.sendWindowUpdate(clientId, grant);
+                            }
+                        }
+                    });
+                } else {
+                    logger.warn(`响应数据的客户端不存在: ${clientId}`);
+                }
+                break;
+            }
+
+            case CMD_DISCONNECT: {
+                // 数据部分为可选的原因码，例如客户端侧允许列表拒绝时为 ENOTALLOWED
+                const reason = data.toString('utf8');
+                logger.info(`处理断开连接: ${clientId}${reason ? ` (${reason})` : ''}`);
+                // 对端已关闭连接，丢弃尚未发送的数据
+                this.scheduler.discard(clientId);
+                const client = this.findClient(clientId);
+                if (!client) {
+                    logger.warn(`客户端 ${clientId} 不存在，无法处理断开连接`);
+                    break;
+                }
+
+                this.clientsByPort.get(client.localPort).delete(clientId);
+                if (!client.connected) {
+                    // 目标连接尚未建立就被客户端侧拒绝，客户端侧没有会话，无需再通知
+                    if (reason) {
+                        logger.error(`客户端侧拒绝连接: ${client.mapping.remoteHost}:${client.mapping.remotePort} (${reason}), 关闭本地连接 ${client.address} (ID: ${clientId})`);
+                    }
+                    clearTimeout(client.connectTimer);
+                    client.connectFailed = true;
+                    refuseSession(client, reason);
+                } else if (client.socket && !client.socket.destroyed) {
+                    client.closedByPeer = true;
+                    client.socket.end(() => {
+                        logger.info(`客户端连接已关闭: ${client.address} (ID: ${clientId})`);
+                    });
+                }
+                break;
+            }
+
+            case CMD_PROGRAM_CLOSE:
+                logger.info('收到程序关闭通知，开始关闭服务器...');
+                // 异步执行关闭程序，避免阻塞当前处理；结果由 'close' 事件通知
+                setImmediate(() => {
+                    this.stop().catch(() => {});
+                });
+                break;
+
+            default:
+                logger.warn(`忽略不适用的命令: ${describeCommand(cmd)} (ID: ${clientId})`);
+                break;
+        }
+    }
+
+    // 把反向映射列表发给客户端侧，客户端侧据此打开监听并关闭不在列表中的监听
+    sendReverseMappings() {
+        if (!(this.handshake.peer.capabilities & CAP_REVERSE)) {
+            if (this.reverseMappings.length > 0) {
+                this.logger.warn('对端不支持反向映射，反向映射不会生效');
+            }
+            return;
+        }
+
+        const listeners = this.reverseMappings.map(mapping => ({
+            localPort: mapping.localPort,
+            remoteHost: mapping.remoteHost,
+            remotePort: mapping.remotePort,
+            priority: mappingPriority(mapping),
+            description: mapping.description,
+            bindAddress: mapping.bindAddress,
+            maxConnections: mapping.maxConnections,
+            idleTimeout: mapping.idleTimeout
+        }));
+        const packet = this.encodePacket('reverse-mappings', newClientId(), JSON.stringify(listeners), '', 0);
+        this.link.send(packet, (err) => {
+            if (err) {
+                this.logger.error('发送反向映射失败:', err.message);
+            } else {
+                this.logger.debug(`已发送 ${listeners.length} 个反向映射`);
+            }
+        });
+    }
+
+    // 处理反向映射会话的数据包：客户端侧接受本地连接后发起，服务端连接目标
+    handleReversePacket(packet) {
+        const { cmd, clientId, targetHost, targetPort, data } = packet;
+        const { logger, flowControl } = this;
+
+        switch (cmd) {
+            case CMD_CONNECT: {
+                // 数据部分：调度权重(1) + 客户端侧监听端口(2)
+                // 目标只取自本端的反向映射配置，不按客户端侧给出的地址连接
+                const listenPort = data.length >= 3 ? data.readUInt16BE(1) : 0;
+                const mapping = this.reverseMappings.find(m => m.localPort === listenPort);
+                if (!mapping) {
+                    logger.warn(`拒绝不对应任何反向映射的连接请求: 端口 ${listenPort}, 目标 ${targetHost}:${targetPort} (ID: ${clientId})`);
+                    this.link.send(this.encodePacket('disconnect', clientId, REASON_NOT_ALLOWED, targetHost, targetPort), () => {});
+                    break;
+                }
+                if (this.reverseTargets.has(clientId)) {
+                    logger.warn(`反向映射会话 ${clientId} 已存在，忽略重复的连接请求`);
+                    break;
+                }
+                this.connectReverseTarget(clientId, mapping, data.readUInt8(0) || 1);
+                break;
+            }
+
+            case CMD_DATA: {
+                const session = this.reverseTargets.get(clientId);
+                if (session.connected && !session.socket.destroyed) {
+                    session.socket.write(data, (err) => {
+                        if (err) {
+                            logger.error(`写入反向映射目标失败 ${clientId}:`, err.message);
+                        } else {
+                            const grant = flowControl.onConsumed(clientId, data.length);
+                            if (grant > 0) {
+                                this.sendWindowUpdate(clientId, grant);
+                            }
+                        }
+                    });
+                }
+                break;
+            }
+
+            case CMD_WINDOW_UPDATE:
+                if (data.length >= 4) {
+                    flowControl.onWindowUpdate(clientId, data.readUInt32BE(0));
+                }
+                break;
+
+            case CMD_DISCONNECT: {
+                const reason = data.toString('utf8');
+                logger.info(`处理反向映射断开连接: ${clientId}${reason ? ` (${reason})` : ''}`);
+                this.scheduler.discard(clientId);
+                const session = this.reverseTargets.get(clientId);
+                this.reverseTargets.delete(clientId);
+                session.closedByPeer = true;
+                if (session.connected) {
+                    session.socket.end();
+                } else {
+                    session.socket.destroy();
+                }
+                break;
+            }
+
+            default:
+                logger.warn(`反向映射会话忽略不适用的命令: ${describeCommand(cmd)}`);
+                break;
+        }
+    }
+
+    // 为反向映射连接服务端侧的目标，结果以 CONNECT_OK / CONNECT_FAIL 通知客户端侧
+    connectReverseTarget(clientId, mapping, priority) {
+        const { logger, flowControl, scheduler } = this;
+        const socket = new net.Socket();
+        const session = {
+            id: clientId,
+            socket: socket,
+            mapping: mapping,
+            connected: false,
+            closedByPeer: false    // 由客户端侧的断开请求关闭，无需再通知客户端侧
+        };
+        this.reverseTargets.set(clientId, session);
+        logger.info(`反向映射连接请求: 客户端侧端口 ${mapping.localPort} -> ${mapping.remoteHost}:${mapping.remotePort} (ID: ${clientId})`);
+        this.emit('session-open', { id: clientId, type: 'reverse', localPort: mapping.localPort, address: null, remoteHost: mapping.remoteHost, remotePort: mapping.remotePort });
+
+        socket.setTimeout(DIAL_TIMEOUT, () => {
+            const err = new Error(`连接目标超时 (${DIAL_TIMEOUT}ms)`);
+            err.code = 'ETIMEDOUT';
+            socket.destroy(err);
+        });
+
+        socket.connect(mapping.remotePort, mapping.remoteHost, () => {
+            logger.info(`反向映射目标连接已建立: ${mapping.remoteHost}:${mapping.remotePort} (ID: ${clientId})`);
+            socket.setTimeout(0);
+            session.connected = true;
+            flowControl.open(clientId, socket);
+            const packet = this.encodePacket('connect-ok', clientId, '', mapping.remoteHost, mapping.remotePort);
+            this.link.send(packet, (err) => {
+                if (err) {
+                    logger.error(`发送连接成功通知失败 ${clientId}:`, err.message);
+                }
+            });
+        });
+
+        socket.on('data', (data) => {
+            // 已通知客户端侧断开（例如正在关闭）后收到的数据不再发送
+            if (session.closedByPeer) {
+                return;
+            }
+            logger.verbose(`收到反向映射目标数据 ${clientId}: ${data.length} 字节`);
+            const writable = scheduler.enqueueData(clientId, data, (fragment) => {
+                return this.encodePacket('data', clientId, fragment, mapping.remoteHost, mapping.remotePort);
+            }, priority);
+
+            flowControl.onSent(clientId, data.length);
+            if (!writable) {
+                flowControl.setLinkBlocked(true);
+            }
+        });
+
+        socket.on('error', (err) => {
+            if (session.connected || session.closedByPeer) {
+                logger.error(`反向映射目标连接错误 ${clientId}:`, err.message);
+                return;
+            }
+            // 将错误码（如 ECONNREFUSED、ETIMEDOUT、ENOTFOUND）报告给客户端侧
+            const code = err.code || 'EUNKNOWN';
+            logger.error(`反向映射连接目标失败: ${mapping.remoteHost}:${mapping.remotePort} (${code}) (ID: ${clientId})`);
+            session.closedByPeer = true;
+            this.link.send(this.encodePacket('connect-fail', clientId, code, mapping.remoteHost, mapping.remotePort), () => {});
+        });
+
+        socket.on('close', () => {
+            logger.info(`反向映射目标连接已关闭: ${clientId}`);
+            this.reverseTargets.delete(clientId);
+            flowControl.close(clientId);
+            // 排在该连接剩余数据之后通知客户端侧
+            if (!session.closedByPeer) {
+                scheduler.enqueuePacket(clientId, this.encodePacket('disconnect', clientId, '', mapping.remoteHost, mapping.remotePort));
+            }
+            this.emit('session-close', { id: clientId, type: 'reverse' });
+        });
+    }
+
+    // 读取并检查端口映射配置，无效时抛出异常
+    readPortMappings() {
+        if (!this.mappingFile) {
+            return parsePortMappings({ portMappings: this.options.portMappings });
+        }
+        return loadPortMappingFile(this.mappingFile);
+    }
+
+    // 使用检查过的配置并记录日志
+    applyPortMappings(config) {
+        const { logger } = this;
+        ({ portMappings: this.portMappings, udpMappings: this.udpMappings, reverseMappings: this.reverseMappings } = config);
+        logger.info(`已加载 ${this.portMappings.length + this.udpMappings.length + this.reverseMappings.length} 个端口映射配置`);
+
+        this.portMappings.forEach(mapping => {
+            logger.info(`映射: ${describeListen(mapping)} -> ${describeTarget(mapping)} (${mapping.description})`);
+        });
+        this.udpMappings.forEach(mapping => {
+            logger.info(`UDP映射: ${describeListen(mapping)} -> ${mapping.remoteHost}:${mapping.remotePort} (${mapping.description})`);
+        });
+        this.reverseMappings.forEach(mapping => {
+            logger.info(`反向映射: 客户端侧 ${describeListen(mapping)} -> ${mapping.remoteHost}:${mapping.remotePort} (${mapping.description})`);
+        });
+        config.disabled.forEach(mapping => {
+            logger.info(`已停用的映射: ${mapping.localPort} (${mapping.description})`);
+        });
+    }
+
+    // 重新加载端口映射配置：按本地端口比较新旧配置，打开新增的监听、关闭删除的监听，
+    // 修改后的目标只对新连接生效，已有的会话继续；新配置无效时保留原配置
+    reloadPortMappings(trigger) {
+        if (this.state !== 'running') {
+            return;
+        }
+        let mappings;
+        try {
+            mappings = this.readPortMappings();
+        } catch (error) {
+            this.logger.error(`重新加载端口映射配置失败，保留原配置 (${trigger}):`, error.message);
+            return;
+        }
+
+        this.logger.info(`重新加载端口映射配置 (${trigger})`);
+        const previousReverse = JSON.stringify(this.reverseMappings);
+        this.applyPortMappings(mappings);
+        this.syncServers();
+        this.syncUdpSockets();
+        if (JSON.stringify(this.reverseMappings) !== previousReverse && this.handshake.isReady()) {
+            this.sendReverseMappings();
+        }
+    }
+
+    // 监视配置文件的修改（按修改时间轮询，编辑器以替换文件的方式保存时也能发现）
+    watchPortMappings() {
+        if (!this.mappingFile) {
+            return;
+        }
+        fs.watchFile(this.mappingFile, { interval: MAPPING_WATCH_INTERVAL }, (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) {
+                this.reloadPortMappings('配置文件已修改');
+            }
+        });
+    }
+
+    // 按当前的映射打开和关闭TCP监听：删除的端口停止接受新连接，已有的连接继续，映射修改后只对新连接生效
+    syncServers() {
+        const { logger, servers } = this;
+        const wanted = new Map(this.portMappings.map(mapping => [mapping.localPort, mapping]));
+
+        servers.forEach((listener, port) => {
+            if (!wanted.has(port)) {
+                const remaining = this.clientsByPort.has(port) ? this.clientsByPort.get(port).size : 0;
+                logger.info(`关闭端口 ${port} 的监听${remaining > 0 ? `，已有的 ${remaining} 个连接继续` : ''}`);
+                listener.server.close();
+                servers.delete(port);
+            }
+        });
+
+        wanted.forEach((mapping, port) => {
+            let listener = servers.get(port);
+            if (listener && listener.mapping.bindAddress !== mapping.bindAddress) {
+                // 监听地址改变时重新监听，原监听上的连接继续
+                logger.info(`端口 ${port} 的监听地址已修改: ${describeListen(listener.mapping)} -> ${describeListen(mapping)}`);
+                listener.server.close();
+                servers.delete(port);
+                listener = null;
+            }
+            if (!listener) {
+                this.createServer(mapping);
+            } else if (JSON.stringify(listener.mapping) !== JSON.stringify(mapping)) {
+                logger.info(`端口 ${port} 的映射已修改，新连接 -> ${describeTarget(mapping)} (${mapping.description})`);
+                listener.mapping = mapping;
+            }
+        });
+    }
+
+    // 创建一个端口的TCP服务器；每个连接按接受时的映射建立会话
+    createServer(initialMapping) {
+        const { logger } = this;
+        const listener = { server: null, mapping: initialMapping, connections: 0 };
+
+        listener.server = net.createServer((socket) => {
+            const mapping = listener.mapping;
+            const address = `${socket.remoteAddress}:${socket.remotePort}`;
+
+            socket.on('error', (err) => {
+                logger.error(`客户端错误 ${address}:`, err.message);
+            });
+
+            if (mapping.maxConnections && listener.connections >= mapping.maxConnections) {
+                logger.warn(`端口 ${mapping.localPort} 的连接数已达上限 ${mapping.maxConnections}，拒绝来自 ${address} 的连接`);
+                socket.destroy();
+                return;
+            }
+            listener.connections++;
+            socket.on('close', () => {
+                listener.connections--;
+            });
+
+            if (!mapping.proxy) {
+                this.startSession(socket, mapping, null);
+                return;
+            }
+
+            // 代理端口：先完成 SOCKS5 / HTTP CONNECT 请求，再按请求的目标建立会话，目标是否允许由客户端侧的允许列表决定
+            const proxy = new ProxyNegotiator(socket, { protocol: mapping.proxy });
+            proxy.on('request', ({ host, port }) => {
+                logger.info(`代理请求 (端口 ${mapping.localPort}): ${address} -> ${host}:${port}`);
+                this.startSession(socket, { ...mapping, remoteHost: host, remotePort: port }, proxy);
+            });
+            proxy.on('invalid', (reason) => {
+                logger.warn(`拒绝来自 ${address} 的代理请求: ${reason}`);
+            });
+            proxy.start();
+        });
+
+        // 监听端口；未指定 bindAddress 时监听所有地址
+        listener.server.listen(initialMapping.localPort, initialMapping.bindAddress, () => {
+            logger.info(`TCP服务器正在监听端口 ${describeListen(initialMapping)} -> ${describeTarget(initialMapping)} (${initialMapping.description})`);
+            this.emit('listening', { protocol: 'tcp', localPort: initialMapping.localPort });
+        });
+
+        listener.server.on('error', (err) => {
+            logger.error(`TCP服务器错误 (端口 ${initialMapping.localPort}):`, err.message);
+            // 监听失败的端口在下次重新加载配置时重试
+            if (this.servers.get(initialMapping.localPort) === listener) {
+                this.servers.delete(initialMapping.localPort);
+            }
+            this.reportError(err);
+        });
+
+        this.servers.set(initialMapping.localPort, listener);
+    }
+
+    // 为本地连接建立隧道会话；proxy 为代理端口上已完成请求的 ProxyNegotiator，mapping 中的目标为本次请求的目标
+    startSession(socket, mapping, proxy) {
+        const { logger, handshake, scheduler, flowControl } = this;
+        const priority = mappingPriority(mapping);
+
+        const clientId = newClientId(); // 32位hex字符串
+        const clientInfo = {
+            id: clientId,
+            socket: socket,
+            address: `${socket.remoteAddress}:${socket.remotePort}`,
+            localPort: mapping.localPort,
+            mapping: mapping,
+            proxy: proxy,
+            connected: false,      // 客户端侧是否已确认目标连接
+            connectFailed: false,
+            closedByPeer: false,   // 由客户端侧的断开请求关闭，无需再通知客户端侧
+            connectTimer: null
+        };
+
+        if (!this.transport.isOpen || !handshake.isReady()) {
+            logger.warn(`${this.linkName}未打开或对端未就绪，拒绝来自 ${clientInfo.address} 的连接`);
+            refuseSession(clientInfo, REASON_LINK_DOWN);
+            return;
+        }
+
+        if (net.isIPv6(mapping.remoteHost) && !(handshake.peer.capabilities & CAP_IPV6)) {
+            logger.warn(`对端不支持IPv6地址，拒绝来自 ${clientInfo.address} 的连接 (目标: ${mapping.remoteHost})`);
+            refuseSession(clientInfo, 'EAFNOSUPPORT');
+            return;
+        }
+
+        // 无法编码的目标（例如超过255字节的主机名）只拒绝这个连接
+        let connectPacket;
+        try {
+            connectPacket = this.encodePacket('connect', clientId, Buffer.from([priority]), mapping.remoteHost, mapping.remotePort);
+        } catch (err) {
+            logger.warn(`拒绝来自 ${clientInfo.address} 的连接: ${err.message}`);
+            refuseSession(clientInfo, 'EINVAL');
+            return;
+        }
+
+        // 按端口分组管理客户端
+        if (!this.clientsByPort.has(mapping.localPort)) {
+            this.clientsByPort.set(mapping.localPort, new Map());
+        }
+        this.clientsByPort.get(mapping.localPort).set(clientId, clientInfo);
+
+        logger.info(`客户端连接到端口 ${mapping.localPort}: ${clientInfo.address} (ID: ${clientId})`);
+        logger.debug(`映射到: ${mapping.remoteHost}:${mapping.remotePort}`);
+        this.emit('session-open', { id: clientId, type: 'tcp', localPort: mapping.localPort, address: clientInfo.address, remoteHost: mapping.remoteHost, remotePort: mapping.remotePort });
+
+        // 两个方向都没有数据超过 idleTimeout（毫秒）时关闭连接
+        if (mapping.idleTimeout) {
+            socket.setTimeout(mapping.idleTimeout, () => {
+                logger.info(`连接空闲超过 ${mapping.idleTimeout}ms，关闭: ${clientInfo.address} (ID: ${clientId})`);
+                socket.destroy();
+            });
+        }
+
+        // 处理客户端数据
+        socket.on('data', (data) => {
+            // 已通知客户端侧断开（例如正在关闭）后收到的数据不再发送
+            if (clientInfo.closedByPeer) {
+                return;
+            }
+            logger.verbose(`收到数据来自 ${clientInfo.address}: ${data.length} 字节`);
+
+            // 链路暂时断开时数据留在调度器中，恢复后发送
+            const writable = scheduler.enqueueData(clientId, data, (fragment) => {
+                return this.encodePacket('data', clientId, fragment, mapping.remoteHost, mapping.remotePort);
+            }, priority);
+            logger.debug(`数据已加入发送队列: ${data.length} 字节, 目标: ${mapping.remoteHost}:${mapping.remotePort}`);
+
+            // 扣减发送信用；发送队列过长时暂停所有本地连接
+            flowControl.onSent(clientId, data.length);
+            if (!writable) {
+                flowControl.setLinkBlocked(true);
+            }
+        });
+
+        // 处理客户端断开
+        socket.on('close', () => {
+            logger.info(`客户端断开连接: ${clientInfo.address} (ID: ${clientId})`);
+            clearTimeout(clientInfo.connectTimer);
+            flowControl.close(clientId);
+
+            if (this.clientsByPort.has(mapping.localPort)) {
+                this.clientsByPort.get(mapping.localPort).delete(clientId);
+            }
+
+            // 发送断开连接消息（目标连接失败时客户端侧没有会话，无需通知）
+            // 经调度器排在该连接剩余数据之后，避免截断
+            if (this.transport.isOpen && !clientInfo.connectFailed && !clientInfo.closedByPeer) {
+                const packet = this.encodePacket('disconnect', clientId, '', mapping.remoteHost, mapping.remotePort);
+                scheduler.enqueuePacket(clientId, packet);
+                logger.debug(`发送断开连接消息: ${clientId}`);
+            }
+            this.emit('session-close', { id: clientId, type: 'tcp' });
+        });
+
+        // 暂停读取，直到客户端侧确认目标连接已建立
+        socket.pause();
+        clientInfo.connectTimer = setTimeout(() => {
+            logger.error(`等待目标连接结果超时: ${mapping.remoteHost}:${mapping.remotePort} (ID: ${clientId})`);
+            refuseSession(clientInfo, 'ETIMEDOUT');
+        }, CONNECT_TIMEOUT);
+
+        // 通知客户端侧立即连接目标，使服务端先发言的协议（SSH、MySQL、SMTP）无需等待用户输入
+        // 数据部分携带调度权重，客户端侧按同样的权重调度返回的数据
+        this.link.send(connectPacket, (err) => {
+            if (err) {
+                logger.error(`${this.linkName}写入失败:`, err.message);
+            } else {
+                logger.debug(`发送连接请求: ${clientId} -> ${mapping.remoteHost}:${mapping.remotePort}`);
+            }
+        });
+    }
+
+    // 按当前的UDP映射打开和关闭套接字：重新加载配置时删除的端口关闭套接字和其上的会话，修改后的目标只对新的来源地址生效
+    syncUdpSockets() {
+        const { logger, udpSockets } = this;
+        const wanted = new Map(this.udpMappings.map(mapping => [mapping.localPort, mapping]));
+
+        udpSockets.forEach((listener, port) => {
+            const mapping = wanted.get(port);
+            if (!mapping || mapping.bindAddress !== listener.mapping.bindAddress) {
+                logger.info(`关闭UDP端口 ${describeListen(listener.mapping)}`);
+                this.closeUdpSocket(listener);
+            }
+        });
+
+        wanted.forEach((mapping, port) => {
+            const listener = udpSockets.get(port);
+            if (!listener) {
+                this.createUdpSocket(mapping);
+            } else if (JSON.stringify(listener.mapping) !== JSON.stringify(mapping)) {
+                logger.info(`UDP端口 ${port} 的映射已修改，新会话 -> ${mapping.remoteHost}:${mapping.remotePort} (${mapping.description})`);
+                listener.mapping = mapping;
+            }
+        });
+    }
+
+    // 关闭UDP套接字和其上的会话，并通知客户端侧关闭对应的套接字
+    closeUdpSocket(listener) {
+        this.udpSessions.forEach((session) => {
+            if (session.listener === listener) {
+                this.closeUdpSession(session);
+                if (this.transport.isOpen && !session.rejected) {
+                    this.scheduler.enqueuePacket(session.id, this.encodePacket('disconnect', session.id, '', session.mapping.remoteHost, session.mapping.remotePort));
+                }
+            }
+        });
+        listener.socket.close();
+        this.udpSockets.delete(listener.mapping.localPort);
+    }
+
+    // 创建UDP映射的套接字：每个来源地址（地址:端口）对应一个会话，每个数据报作为一个数据包发给客户端侧，
+    // 客户端侧从自己的UDP套接字发给目标，目标的应答沿原路发回来源地址
+    createUdpSocket(initialMapping) {
+        const { logger, handshake, scheduler } = this;
+        const socket = dgram.createSocket(net.isIPv6(initialMapping.bindAddress || '') ? 'udp6' : 'udp4');
+        const listener = { socket: socket, mapping: initialMapping, bound: false, sessions: 0 };
+
+        socket.on('message', (message, rinfo) => {
+            const source = `${rinfo.address}:${rinfo.port}`;
+            if (!this.transport.isOpen || !handshake.isReady() || !(handshake.peer.capabilities & CAP_UDP)) {
+                logger.debug(`${this.linkName}未打开或对端未就绪，丢弃来自 ${source} 的数据报`);
+                return;
+            }
+
+            // 数据报不分片：扣除数据包头（最长280字节）以及链路层和加密层的开销后必须能放进对端的一个帧
+            if (message.length > handshake.peer.maxFrame - 320) {
+                logger.warn(`数据报过大 (${message.length} 字节)，丢弃来自 ${source} 的数据报`);
+                return;
+            }
+
+            const key = `${initialMapping.localPort}/${source}`;
+            let session = this.udpSessionsBySource.get(key);
+            if (!session) {
+                const mapping = listener.mapping;
+                if (mapping.maxConnections && listener.sessions >= mapping.maxConnections) {
+                    logger.verbose(`端口 ${mapping.localPort} 的UDP会话数已达上限 ${mapping.maxConnections}，丢弃来自 ${source} 的数据报`);
+                    return;
+                }
+                session = {
+                    id: newClientId(),
+                    key: key,
+                    listener: listener,
+                    socket: socket,
+                    address: rinfo.address,
+                    port: rinfo.port,
+                    mapping: mapping,
+                    rejected: false,   // 客户端侧拒绝了目标，空闲超时前丢弃该来源的数据报
+                    idleTimer: null
+                };
+                listener.sessions++;
+                this.udpSessions.set(session.id, session);
+                this.udpSessionsBySource.set(key, session);
+                logger.info(`UDP会话 (端口 ${mapping.localPort}): ${source} -> ${mapping.remoteHost}:${mapping.remotePort} (ID: ${session.id})`);
+                this.emit('session-open', { id: session.id, type: 'udp', localPort: mapping.localPort, address: source, remoteHost: mapping.remoteHost, remotePort: mapping.remotePort });
+                // 告知客户端侧该会话的空闲超时，两端按同样的超时关闭会话；旧版本的客户端侧使用默认超时
+                if (handshake.peer.capabilities & CAP_UDP_TIMEOUT) {
+                    const timeout = Buffer.alloc(4);
+                    timeout.writeUInt32BE(mapping.idleTimeout || UDP_IDLE_TIMEOUT);
+                    scheduler.enqueuePacket(session.id, this.encodePacket('udp-open', session.id, timeout, mapping.remoteHost, mapping.remotePort), mappingPriority(mapping));
+                }
+            }
+            this.touchUdpSession(session);
+
+            if (session.rejected) {
+                return;
+            }
+
+            // 数据报不排队等待：发送队列已满时直接丢弃，由上层协议重传
+            if (scheduler.isFull()) {
+                logger.verbose(`发送队列已满，丢弃 ${message.length} 字节的数据报 (ID: ${session.id})`);
+                return;
+            }
+
+            const { remoteHost, remotePort } = session.mapping;
+            scheduler.enqueuePacket(session.id, this.encodePacket('udp-data', session.id, message, remoteHost, remotePort), mappingPriority(session.mapping));
+            logger.verbose(`UDP数据报已加入发送队列: ${message.length} 字节 (ID: ${session.id})`);
+        });
+
+        socket.on('error', (err) => {
+            logger.error(`UDP套接字错误 (端口 ${initialMapping.localPort}):`, err.message);
+            // 绑定失败的端口在下次重新加载配置时重试
+            if (!listener.bound && this.udpSockets.get(initialMapping.localPort) === listener) {
+                this.udpSockets.delete(initialMapping.localPort);
+                socket.close();
+            }
+            this.reportError(err);
+        });
+
+        // 未指定 bindAddress 时绑定所有地址
+        socket.bind(initialMapping.localPort, initialMapping.bindAddress, () => {
+            listener.bound = true;
+            logger.info(`UDP正在监听端口 ${describeListen(initialMapping)} -> ${initialMapping.remoteHost}:${initialMapping.remotePort} (${initialMapping.description})`);
+            this.emit('listening', { protocol: 'udp', localPort: initialMapping.localPort });
+        });
+
+        this.udpSockets.set(initialMapping.localPort, listener);
+    }
+
+    // 会话在映射的 idleTimeout（默认 UDP_IDLE_TIMEOUT）内没有收发数据报时关闭，并通知客户端侧关闭对应的套接字；
+    // 客户端侧先超时（例如没有收到 udp-open）时同样通知服务端，见 handleUdpPacket
+    touchUdpSession(session) {
+        clearTimeout(session.idleTimer);
+        session.idleTimer = setTimeout(() => {
+            this.logger.info(`UDP会话空闲超时: ${session.address}:${session.port} (ID: ${session.id})`);
+            this.closeUdpSession(session);
+            if (this.transport.isOpen && !session.rejected) {
+                this.scheduler.enqueuePacket(session.id, this.encodePacket('disconnect', session.id, '', session.mapping.remoteHost, session.mapping.remotePort));
+            }
+        }, session.mapping.idleTimeout || UDP_IDLE_TIMEOUT);
+    }
+
+    closeUdpSession(session) {
+        clearTimeout(session.idleTimer);
+        if (this.udpSessions.delete(session.id)) {
+            session.listener.sessions--;
+            this.emit('session-close', { id: session.id, type: 'udp' });
+        }
+        this.udpSessionsBySource.delete(session.key);
+    }
+
+    // 处理UDP会话的数据包：目标的应答发回来源地址，断开表示客户端侧拒绝了目标、关闭了套接字或会话空闲超时
+    handleUdpPacket(packet) {
+        const { cmd, clientId, data } = packet;
+        const { logger } = this;
+        const session = this.udpSessions.get(clientId);
+        if (!session) {
+            // 会话已空闲超时，目标迟到的应答直接丢弃
+            logger.debug(`UDP会话 ${clientId} 不存在，丢弃命令 ${describeCommand(cmd)}`);
+            return;
+        }
+
+        switch (cmd) {
+            case CMD_UDP_DATA:
+                this.touchUdpSession(session);
+                session.socket.send(data, session.port, session.address, (err) => {
+                    if (err) {
+                        logger.error(`发送UDP应答失败 ${clientId}:`, err.message);
+                    }
+                });
+                break;
+
+            case CMD_DISCONNECT: {
+                const reason = data.toString('utf8');
+                this.scheduler.discard(clientId);
+                if (reason === REASON_NOT_ALLOWED) {
+                    logger.warn(`客户端侧拒绝UDP目标: ${session.mapping.remoteHost}:${session.mapping.remotePort}, 丢弃来自 ${session.address}:${session.port} 的数据报 (ID: ${clientId})`);
+                    session.rejected = true;
+                } else {
+                    logger.info(`UDP会话已被客户端侧关闭: ${session.address}:${session.port}${reason ? ` (${reason})` : ''} (ID: ${clientId})`);
+                    this.closeUdpSession(session);
+                }
+                break;
+            }
+
+            default:
+                logger.warn(`UDP会话忽略不适用的命令: ${describeCommand(cmd)}`);
+                break;
+        }
+    }
+
+    sessionCount() {
+        let count = this.reverseTargets.size;
+        this.clientsByPort.forEach((clients) => {
+            count += clients.size;
+        });
+        return count;
+    }
+
+    sessionTarget(clientId) {
+        const session = this.findClient(clientId) || this.reverseTargets.get(clientId);
+        return session ? { host: session.mapping.remoteHost, port: session.mapping.remotePort } : null;
+    }
+
+    // 关闭所有本地连接和反向映射的目标连接；notify 为真且串口打开时尽力通知客户端侧（可靠模式下链路恢复后会重传）
+    closeAllSessions(reason, notify = true) {
+        const { link, scheduler } = this;
+        let count = 0;
+        this.clientsByPort.forEach((clients) => {
+            clients.forEach((clientInfo, clientId) => {
+                this.rememberLinkClosedSession(clientId);
+                clientInfo.closedByPeer = true;
+                clearTimeout(clientInfo.connectTimer);
+                scheduler.discard(clientId);
+                const packet = this.encodePacket('disconnect', clientId, reason, clientInfo.mapping.remoteHost, clientInfo.mapping.remotePort);
+                if (notify && this.transport.isOpen) {
+                    link.send(packet, () => {});
+                }
+                clientInfo.socket.destroy();
+                count++;
+            });
+            clients.clear();
+        });
+        this.reverseTargets.forEach((session, clientId) => {
+            this.rememberLinkClosedSession(clientId);
+            session.closedByPeer = true;
+            scheduler.discard(clientId);
+            if (notify && this.transport.isOpen) {
+                link.send(this.encodePacket('disconnect', clientId, reason, session.mapping.remoteHost, session.mapping.remotePort), () => {});
+            }
+            session.socket.destroy();
+            count++;
+        });
+        this.reverseTargets.clear();
+        if (count > 0) {
+            this.logger.warn(`已关闭 ${count} 个连接 (${reason})`);
+        }
+    }
+
+    // 优雅关闭：通知客户端侧、关闭所有连接和监听，等待可靠传输层送达剩余数据后关闭链路
+    // 多次调用返回同一个 Promise；完成后触发 'close'
+    stop() {
+        if (this.state !== 'running') {
+            return this.stopping || Promise.resolve();
+        }
+        this.state = 'stopped';
+        this.stopping = this.shutdown().then(() => {
+            this.emit('close', null);
+        }, (err) => {
+            this.logger.error('优雅关闭时发生错误:', err.message);
+            this.emit('close', err);
+            throw err;
+        });
+        return this.stopping;
+    }
+
+    async shutdown() {
+        const { logger, link, transport, scheduler } = this;
+        logger.info('正在优雅关闭服务器...');
+        if (this.mappingFile) {
+            fs.unwatchFile(this.mappingFile);
+        }
+        clearTimeout(this.graceTimer);
+
+        // 1. 通知客户端侧断开所有会话：断开消息经调度器排在各会话剩余的数据之后，
+        //    此后本地连接收到的数据不再发送
+        if (transport.isOpen) {
+            let count = 0;
+            const notify = (clientId, mapping) => {
+                scheduler.enqueuePacket(clientId, this.encodePacket('disconnect', clientId, '', mapping.remoteHost, mapping.remotePort));
+                count++;
+            };
+
+            this.clientsByPort.forEach((clients) => {
+                clients.forEach((clientInfo, clientId) => {
+                    clientInfo.closedByPeer = true;
+                    clearTimeout(clientInfo.connectTimer);
+                    if (!clientInfo.connectFailed) {
+                        notify(clientId, clientInfo.mapping);
+                    }
+                });
+            });
+
+            // 反向映射的会话
+            this.reverseTargets.forEach((session, clientId) => {
+                session.closedByPeer = true;
+                notify(clientId, session.mapping);
+            });
+
+            // UDP映射的会话
+            this.udpSessions.forEach((session) => {
+                this.closeUdpSession(session);
+                if (!session.rejected) {
+                    notify(session.id, session.mapping);
+                }
+            });
+
+            if (count > 0) {
+                logger.info(`正在发送 ${count} 个断开连接消息...`);
+                if (await scheduler.waitForIdle(3000)) {
+                    logger.info('所有断开连接消息已发送');
+                } else {
+                    logger.warn('部分断开连接消息未能发送');
+                }
+            }
+        }
+
+        // 2. 关闭所有客户端连接
+        const clientClosePromises = [];
+
+        this.clientsByPort.forEach((clients) => {
+            clients.forEach((clientInfo, clientId) => {
+                if (clientInfo.socket && !clientInfo.socket.destroyed) {
+                    clientInfo.closedByPeer = true;
+                    clientClosePromises.push(
+                        new Promise((resolve) => {
+                            const timeout = setTimeout(() => {
+                                if (!clientInfo.socket.destroyed) {
+                                    logger.warn(`强制关闭客户端连接: ${clientInfo.address} (ID: ${clientId})`);
+                                    clientInfo.socket.destroy();
+                                }
+                                resolve();
+                            }, 3000); // 3秒超时
+
+                            clientInfo.socket.once('close', () => {
+                                clearTimeout(timeout);
+                                logger.info(`客户端连接已关闭: ${clientInfo.address} (ID: ${clientId})`);
+                                resolve();
+                            });
+
+                            clientInfo.socket.end();
+                        })
+                    );
+                }
+            });
+        });
+
+        if (clientClosePromises.length > 0) {
+            logger.info(`正在关闭 ${clientClosePromises.length} 个客户端连接...`);
+            await Promise.all(clientClosePromises);
+            logger.info('所有客户端连接已关闭');
+        }
+
+        // 3. 清理客户端映射，关闭反向映射的目标连接
+        this.clientsByPort.clear();
+        this.reverseTargets.forEach((session) => {
+            session.closedByPeer = true;
+            session.socket.destroy();
+        });
+        this.reverseTargets.clear();
+
+        // 关闭UDP映射的套接字
+        this.udpSessions.forEach(session => this.closeUdpSession(session));
+        this.udpSockets.forEach(listener => listener.socket.close());
+        this.udpSockets.clear();
+
+        // 4. 关闭所有TCP服务器
+        const serverClosePromises = [...this.servers.values()].map(({ server, mapping }) => {
+            return new Promise((resolve) => {
+                const timeout = setTimeout(() => {
+                    logger.warn(`强制关闭TCP服务器 (端口 ${mapping.localPort})`);
+                    resolve();
+                }, 5000); // 5秒超时
+
+                server.close(() => {
+                    clearTimeout(timeout);
+                    logger.info(`TCP服务器已关闭 (端口 ${mapping.localPort})`);
+                    resolve();
+                });
+            });
+        });
+        this.servers.clear();
+
+        if (serverClosePromises.length > 0) {
+            logger.info(`正在关闭 ${serverClosePromises.length} 个TCP服务器...`);
+            await Promise.all(serverClosePromises);
+            logger.info('所有TCP服务器已关闭');
+        }
+
+        // 等待可靠传输层把剩余数据送达对端
+        if (transport.isOpen && !(await link.waitForDelivery(3000))) {
+            logger.warn('部分数据未被对端确认');
+        }
+        link.stop();
+        this.secure.stop();
+        this.handshake.stop();
+        this.scheduler.removeAllListeners('drain');
+
+        if (this.compression.isActive()) {
+            logger.info(`数据压缩统计: ${this.compression.describe()}`);
+        }
+
+        // 5. 关闭链路（不再自动重新打开）；监听的传输即使还没有对端连接也要关闭监听
+        this.reconnector.stop();
+        if (transport.isOpen || this.transportSpec.listen) {
+            await new Promise((resolve) => {
+                const timeout = setTimeout(() => {
+                    logger.warn(`强制关闭${this.linkName}`);
+                    resolve();
+                }, 3000); // 3秒超时
+
+                transport.close(() => {
+                    clearTimeout(timeout);
+                    logger.info(`${this.linkName}已关闭`);
+                    resolve();
+                });
+            });
+        }
+        this.setLinkUp(false, { reason: '已停止' });
+
+        logger.info('服务器已优雅关闭');
+    }
+}
+
+module.exports = {
+    BridgeServer
+};
@@ -0,0 +1,361 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { version: VERSION } = require('./package.json');
+const { parseTransport } = require('./link-transport');
+
+// 选项定义：flag 为命令行选项名，key 为配置文件中的字段名，env 为覆盖配置文件的环境变量
+// 环境变量都带 BRIDGE_ 前缀，避免服务环境中无关的同名变量改变配置；legacyEnv 为早期版本读取的日志开关（DEBUG、QUIET、VERBOSE），仍然有效
+// type: string | path | integer | number | boolean；path 类型在配置文件中按配置文件所在目录解析相对路径
+// roles 省略表示两端都可用
+const OPTIONS = [
+    { flag: 'transport', key: 'transport', env: 'BRIDGE_TRANSPORT', type: 'string', default: 'serial', description: '链路传输: serial、tcp://host:port、tcp-listen://[host]:port、unix:路径、unix-listen:路径 或 stdio' },
+    { flag: 'port', key: 'port', env: 'BRIDGE_SERIAL_PORT', type: 'string', default: 'COM1', description: '串口路径，例如 COM20 或 /dev/ttyUSB0' },
+    { flag: 'vendor-id', key: 'vendorId', env: 'BRIDGE_SERIAL_VENDOR_ID', type: 'string', default: '', pattern: /^(0x)?[0-9a-f]{1,4}$/i, patternText: '十六进制数，例如 0403', description: '按USB厂商ID选择串口（十六进制），设置后忽略 port' },
+    { flag: 'product-id', key: 'productId', env: 'BRIDGE_SERIAL_PRODUCT_ID', type: 'string', default: '', pattern: /^(0x)?[0-9a-f]{1,4}$/i, patternText: '十六进制数，例如 0403', description: '按USB产品ID选择串口（十六进制）' },
+    { flag: 'serial-number', key: 'serialNumber', env: 'BRIDGE_SERIAL_NUMBER', type: 'string', default: '', description: '按USB序列号选择串口' },
+    { flag: 'baud', key: 'baud', env: 'BRIDGE_BAUD_RATE', type: 'integer', default: 115200, min: 1, description: '波特率' },
+    { flag: 'rtscts', key: 'rtscts', env: 'BRIDGE_RTSCTS', type: 'boolean', default: true, description: '硬件流控 (RTS/CTS)' },
+    { flag: 'data-bits', key: 'dataBits', env: 'BRIDGE_DATA_BITS', type: 'integer', default: 8, choices: [7, 8], description: '数据位，7 位时链路转义最高位为 1 的字节' },
+    { flag: 'parity', key: 'parity', env: 'BRIDGE_PARITY', type: 'string', default: 'none', choices: ['none', 'even', 'odd', 'mark', 'space'], description: '校验位' },
+    { flag: 'stop-bits', key: 'stopBits', env: 'BRIDGE_STOP_BITS', type: 'number', default: 1, choices: [1, 1.5, 2], description: '停止位' },
+    { flag: 'xon', key: 'xon', env: 'BRIDGE_XON', type: 'boolean', default: false, description: '软件流控：允许对端发送 XON 恢复输出' },
+    { flag: 'xoff', key: 'xoff', env: 'BRIDGE_XOFF', type: 'boolean', default: false, description: '软件流控：允许对端发送 XOFF 暂停输出' },
+    { flag: 'xany', key: 'xany', env: 'BRIDGE_XANY', type: 'boolean', default: false, description: '软件流控：任意字符都可以恢复输出' },
+    { flag: 'hupcl', key: 'hupcl', env: 'BRIDGE_HUPCL', type: 'boolean', default: true, description: '关闭串口时拉低 DTR' },
+    { flag: 'rs485', key: 'rs485', env: 'BRIDGE_RS485', type: 'boolean', default: false, description: 'RS-485 半双工：发送时用 RTS 控制收发方向' },
+    { flag: 'rs485-rts-on-send', key: 'rs485RtsOnSend', env: 'BRIDGE_RS485_RTS_ON_SEND', type: 'boolean', default: true, description: 'RS-485 发送时 RTS 为高电平（否则为低电平）' },
+    { flag: 'rs485-delay-before-send', key: 'rs485DelayBeforeSend', env: 'BRIDGE_RS485_DELAY_BEFORE_SEND', type: 'integer', default: 0, min: 0, description: 'RS-485 拉起 RTS 后等待的毫秒数' },
+    { flag: 'rs485-delay-after-send', key: 'rs485DelayAfterSend', env: 'BRIDGE_RS485_DELAY_AFTER_SEND', type: 'integer', default: 0, min: 0, description: 'RS-485 发送完成后释放 RTS 前等待的毫秒数' },
+    { flag: 'mapping', key: 'mapping', env: 'BRIDGE_MAPPING_FILE', type: 'path', default: 'port-mapping.json', roles: ['server'], description: '端口映射配置文件' },
+    { flag: 'allowlist', key: 'allowlist', env: 'BRIDGE_ALLOWLIST_FILE', type: 'path', default: 'allowlist.json', roles: ['client'], description: '目标允许列表文件' },
+    { flag: 'allow-any', key: 'allowAny', env: 'BRIDGE_ALLOW_ANY', type: 'boolean', default: false, roles: ['client'], description: '允许连接任何目标（不使用允许列表，客户端侧成为开放代理）' },
+    { flag: 'reliable', key: 'reliable', env: 'BRIDGE_RELIABLE', type: 'boolean', default: false, description: '启用可靠传输层' },
+    { flag: 'compression', key: 'compression', env: 'BRIDGE_COMPRESSION', type: 'boolean', default: false, description: '启用数据压缩' },
+    { flag: 'psk-file', key: 'pskFile', env: 'BRIDGE_PSK_FILE', type: 'path', default: '', description: '预共享密钥文件，设置后启用链路加密' },
+    { flag: 'peer-timeout', key: 'peerTimeout', env: 'BRIDGE_PEER_TIMEOUT', type: 'integer', default: 15000, min: 1, description: '对端超时（毫秒）' },
+    { flag: 'session-grace', key: 'sessionGrace', env: 'BRIDGE_SESSION_GRACE', type: 'integer', default: 30000, min: 0, description: '链路断开后保留会话的时间（毫秒），0 表示立即关闭' },
+    { flag: 'log-file', key: 'logFile', env: 'BRIDGE_LOG_FILE', type: 'path', default: '', description: '同时把日志写入该文件' },
+    { flag: 'quiet', key: 'quiet', env: 'BRIDGE_QUIET', legacyEnv: 'QUIET', type: 'boolean', default: false, description: '静默模式，只显示错误和警告' },
+    { flag: 'debug', key: 'debug', env: 'BRIDGE_DEBUG', legacyEnv: 'DEBUG', type: 'boolean', default: false, description: '调试模式，显示详细信息' },
+    { flag: 'verbose', key: 'verbose', env: 'BRIDGE_VERBOSE', legacyEnv: 'VERBOSE', type: 'boolean', default: false, description: '详细模式，显示所有操作' }
+];
+
+// 旧的位置参数：[串口] [波特率] [硬件流控] [映射配置文件 | 允许列表文件]
+const POSITIONALS = {
+    server: ['port', 'baud', 'rtscts', 'mapping'],
+    client: ['port', 'baud', 'rtscts', 'allowlist']
+};
+
+const CONFIG_ENV = 'BRIDGE_CONFIG_FILE';
+const ROLES = Object.keys(POSITIONALS);
+
+function optionsFor(role) {
+    return OPTIONS.filter(option => !option.roles || option.roles.includes(role));
+}
+
+function findByFlag(role, flag) {
+    return optionsFor(role).find(option => option.flag === flag);
+}
+
+// 把字符串（命令行或环境变量）转换为选项的类型
+function parseText(option, text, where) {
+    switch (option.type) {
+        case 'boolean':
+            if (/^(true|1|yes|on)$/i.test(text)) {
+                return true;
+            }
+            if (/^(false|0|no|off)$/i.test(text)) {
+                return false;
+            }
+            throw new Error(`${where}: 应为 true 或 false，实际为 ${JSON.stringify(text)}`);
+        case 'integer':
+            if (!/^-?\d+$/.test(text)) {
+                throw new Error(`${where}: 应为整数，实际为 ${JSON.stringify(text)}`);
+            }
+            return parseInt(text, 10);
+        case 'number':
+            if (!/^-?\d+(\.\d+)?$/.test(text)) {
+                throw new Error(`${where}: 应为数字，实际为 ${JSON.stringify(text)}`);
+            }
+            return parseFloat(text);
+        default:
+            return text;
+    }
+}
+
+// 检查配置文件中的值的类型和所有选项的取值范围
+function checkValue(option, value, where) {
+    const expected = {
+        boolean: 'boolean',
+        integer: 'number',
+        number: 'number',
+        string: 'string',
+        path: 'string'
+    }[option.type];
+    if (typeof value !== expected || (option.type === 'integer' && !Number.isInteger(value))) {
+        throw new Error(`${where}: 类型应为 ${option.type}，实际为 ${JSON.stringify(value)}`);
+    }
+    if (option.choices && !option.choices.includes(value)) {
+        throw new Error(`${where}: 应为 ${option.choices.join(', ')} 之一，实际为 ${JSON.stringify(value)}`);
+    }
+    if (option.pattern && value !== '' && !option.pattern.test(value)) {
+        throw new Error(`${where}: 应为${option.patternText}，实际为 ${JSON.stringify(value)}`);
+    }
+    if (option.min !== undefined && value < option.min) {
+        throw new Error(`${where}: 不能小于 ${option.min}，实际为 ${value}`);
+    }
+    return value;
+}
+
+// 解析命令行参数，返回 { values, config, help, version }
+function parseArgv(role, argv) {
+    const result = { values: {}, config: null, help: false, version: false };
+    const positionals = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            result.help = true;
+            continue;
+        }
+        if (arg === '--version') {
+            result.version = true;
+            continue;
+        }
+        if (arg === '--') {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+
+        const equals = arg.indexOf('=');
+        let flag = equals === -1 ? arg.slice(2) : arg.slice(2, equals);
+        let text = equals === -1 ? undefined : arg.slice(equals + 1);
+
+        if (flag === 'config') {
+            if (text === undefined) {
+                text = argv[++i];
+            }
+            if (!text) {
+                throw new Error('--config: 缺少文件路径');
+            }
+            result.config = text;
+            continue;
+        }
+
+        // --no-rtscts 等价于 --rtscts=false
+        let negated = false;
+        if (flag.startsWith('no-') && text === undefined) {
+            const target = findByFlag(role, flag.slice(3));
+            if (target && target.type === 'boolean') {
+                flag = flag.slice(3);
+                negated = true;
+            }
+        }
+
+        const option = findByFlag(role, flag);
+        if (!option) {
+            throw new Error(`未知选项: --${flag}`);
+        }
+        if (option.type === 'boolean') {
+            result.values[option.key] = negated ? false : text === undefined ? true : parseText(option, text, `--${flag}`);
+            continue;
+        }
+        if (text === undefined) {
+            text = argv[++i];
+            if (text === undefined) {
+                throw new Error(`--${flag}: 缺少参数值`);
+            }
+        }
+        result.values[option.key] = checkValue(option, parseText(option, text, `--${flag}`), `--${flag}`);
+    }
+
+    if (positionals.length > POSITIONALS[role].length) {
+        throw new Error(`多余的参数: ${positionals.slice(POSITIONALS[role].length).join(' ')}`);
+    }
+    positionals.forEach((text, index) => {
+        const option = optionsFor(role).find(item => item.key === POSITIONALS[role][index]);
+        // 兼容旧的用法：只有 "false" 关闭硬件流控
+        const value = option.key === 'rtscts' ? text !== 'false' : parseText(option, text, `第 ${index + 1} 个参数 (${option.flag})`);
+        if (!(option.key in result.values)) {
+            result.values[option.key] = checkValue(option, value, `第 ${index + 1} 个参数 (${option.flag})`);
+        }
+    });
+
+    return result;
+}
+
+// 读取配置文件（.yaml / .yml 按 YAML 解析，其他按 JSON 解析）
+// 顶层字段两端共用，server / client 小节中的字段只对对应的一端生效并覆盖顶层的同名字段
+function loadConfigFile(role, file) {
+    let config;
+    try {
+        const text = fs.readFileSync(file, 'utf8');
+        config = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+    } catch (err) {
+        throw new Error(`无法读取配置文件 ${file}: ${err.message}`);
+    }
+    if (config === null || config === undefined) {
+        config = {};
+    }
+    if (typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`${file}: 配置文件应为对象`);
+    }
+
+    const baseDir = path.dirname(path.resolve(file));
+    const values = {};
+    const apply = (section, where, sectionRole, into) => {
+        for (const [key, value] of Object.entries(section)) {
+            if (sectionRole === null && ROLES.includes(key)) {
+                continue;
+            }
+            const option = OPTIONS.find(item => item.key === key);
+            if (!option || (sectionRole !== null && option.roles && !option.roles.includes(sectionRole))) {
+                throw new Error(`${where}: 未知字段 ${JSON.stringify(key)}`);
+            }
+            checkValue(option, value, `${where}.${key}`);
+            // 顶层的单端字段（例如 mapping）对另一端没有意义
+            if (option.roles && !option.roles.includes(role)) {
+                continue;
+            }
+            into[key] = option.type === 'path' && value !== '' ? path.resolve(baseDir, value) : value;
+        }
+    };
+
+    apply(config, file, null, values);
+    for (const sectionRole of ROLES) {
+        const section = config[sectionRole];
+        if (section === undefined) {
+            continue;
+        }
+        if (!section || typeof section !== 'object' || Array.isArray(section)) {
+            throw new Error(`${file}: ${sectionRole} 应为对象`);
+        }
+        // 另一端的小节也要检查，但不应用
+        apply(section, `${file}: ${sectionRole}`, sectionRole, sectionRole === role ? values : {});
+    }
+    return values;
+}
+
+// 读取早期版本的日志开关（没有 BRIDGE_ 前缀），按早期版本的方式只认 true，其他值按 false 处理，
+// 例如 DEBUG=serialport* 是 debug 模块的名称空间过滤，不会使程序无法启动
+function readLegacyEnv(option, env) {
+    const text = option.legacyEnv ? env[option.legacyEnv] : undefined;
+    if (text === undefined || text === '') {
+        return undefined;
+    }
+    return text === 'true';
+}
+
+// 合并各来源的选项，优先级：命令行 > 环境变量 > 配置文件 > 默认值
+// 返回 { options, sources, configFile, help, version }，sources 记录每个选项的来源
+function loadOptions(role, argv = process.argv.slice(2), env = process.env) {
+    if (!ROLES.includes(role)) {
+        throw new Error(`未知的角色: ${role}`);
+    }
+
+    const cli = parseArgv(role, argv);
+    if (cli.help || cli.version) {
+        return { options: null, sources: null, configFile: null, help: cli.help, version: cli.version };
+    }
+
+    const configFile = cli.config || env[CONFIG_ENV] || null;
+    const fromFile = configFile ? loadConfigFile(role, configFile) : {};
+
+    const options = {};
+    const sources = {};
+    for (const option of optionsFor(role)) {
+        const legacyValue = readLegacyEnv(option, env);
+        if (option.key in cli.values) {
+            options[option.key] = cli.values[option.key];
+            sources[option.key] = 'cli';
+        } else if (env[option.env] !== undefined && env[option.env] !== '') {
+            options[option.key] = checkValue(option, parseText(option, env[option.env], option.env), option.env);
+            sources[option.key] = 'env';
+        } else if (legacyValue !== undefined) {
+            options[option.key] = legacyValue;
+            sources[option.key] = 'env';
+        } else if (option.key in fromFile) {
+            options[option.key] = fromFile[option.key];
+            sources[option.key] = 'config';
+        } else {
+            options[option.key] = option.default;
+            sources[option.key] = 'default';
+        }
+    }
+
+    checkCombinations(options, sources);
+    return { options, sources, configFile, help: cli.help, version: cli.version };
+}
+
+// 合并后检查选项之间的关系
+function checkCombinations(options, sources) {
+    parseTransport(options.transport);
+
+    // 允许任何目标必须明确指定，不能和允许列表一起使用
+    if (options.allowAny && sources.allowlist && sources.allowlist !== 'default') {
+        throw new Error('allow-any 允许任何目标，不能同时指定 allowlist');
+    }
+
+    // RS-485 方向控制占用 RTS 线，不能同时使用 RTS/CTS 硬件流控
+    if (options.rs485 && options.rtscts) {
+        if (sources.rtscts !== 'default') {
+            throw new Error('rs485 使用 RTS 控制收发方向，不能同时启用 rtscts');
+        }
+        options.rtscts = false;
+    }
+}
+
+// 库接口（BridgeServer / BridgeClient）的选项：字段与配置文件相同，按同样的规则检查，省略的字段取默认值
+// 不认识的字段原样保留，由调用方处理（例如 logger）
+function resolveOptions(role, given = {}) {
+    const options = { ...given };
+    const sources = {};
+    for (const option of optionsFor(role)) {
+        if (given[option.key] === undefined) {
+            options[option.key] = option.default;
+            sources[option.key] = 'default';
+        } else {
+            options[option.key] = checkValue(option, given[option.key], `options.${option.key}`);
+            sources[option.key] = 'options';
+        }
+    }
+    checkCombinations(options, sources);
+    return options;
+}
+
+// 帮助信息
+function formatUsage(role) {
+    const script = `tcp-${role}.js`;
+    const lines = [
+        `用法: node ${script} [选项]`,
+        `      node ${script} [串口] [波特率] [硬件流控] [${role === 'server' ? '映射配置文件' : '允许列表文件'}]`,
+        '',
+        '选项:'
+    ];
+    const rows = optionsFor(role).map((option) => {
+        const flag = option.type === 'boolean' ? `--[no-]${option.flag}` : `--${option.flag} <${option.type === 'path' ? 'file' : 'value'}>`;
+        const defaultText = option.default === '' ? '' : `，默认 ${option.default}`;
+        return [flag, `${option.description}${defaultText} [${[option.env, option.legacyEnv].filter(Boolean).join(', ')}]`];
+    });
+    rows.push(['--config <file>', `YAML 或 JSON 配置文件 [${CONFIG_ENV}]`]);
+    rows.push(['-h, --help', '显示帮助']);
+    rows.push(['--version', '显示版本']);
+    const width = Math.max(...rows.map(([flag]) => flag.length));
+    rows.forEach(([flag, text]) => lines.push(`  ${flag.padEnd(width)}  ${text}`));
+    lines.push('');
+    lines.push('优先级: 命令行 > 环境变量 > 配置文件 > 默认值');
+    lines.push(`配置文件的字段名: ${optionsFor(role).map(option => option.key).join(', ')}`);
+    return lines.join('\n');
+}
+
+module.exports = {
+    loadOptions,
+    resolveOptions,
+    formatUsage,
+    VERSION
+};
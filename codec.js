@@ -0,0 +1,320 @@
+const net = require('net');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+// 数据包格式（帧负载经链路层、加密层处理后得到的内容，一个帧恰好包含一个数据包）：
+// 命令(1) + 客户端ID(16) + 地址类型(1) + 地址(变长) + 端口(2) + 数据长度(4) + 数据(变长)
+// 服务端和客户端侧（以及其他语言实现的对端）按同样的格式编码和解析
+
+// 命令定义
+const CMD_DATA = 0x01;
+const CMD_CONNECT = 0x02;
+const CMD_DISCONNECT = 0x03;
+// const CMD_CLIENT_CLOSE = 0x04;
+const CMD_PROGRAM_CLOSE = 0x05;
+const CMD_CONNECT_OK = 0x06;
+const CMD_CONNECT_FAIL = 0x07;
+const CMD_WINDOW_UPDATE = 0x08;
+const CMD_REVERSE_MAPPINGS = 0x0A; // 服务端 -> 客户端侧：反向映射列表（JSON）
+const CMD_UDP_DATA = 0x0B; // 双向：一个UDP数据报
+const CMD_UDP_OPEN = 0x0C; // 服务端 -> 客户端侧：新UDP会话的空闲超时（4字节毫秒数），在会话的第一个数据报之前发送
+
+// 命令的名称，解析出的数据包对象以 type 给出
+const COMMAND_NAMES = {
+    [CMD_DATA]: 'data',
+    [CMD_CONNECT]: 'connect',
+    [CMD_DISCONNECT]: 'disconnect',
+    [CMD_PROGRAM_CLOSE]: 'program-close',
+    [CMD_CONNECT_OK]: 'connect-ok',
+    [CMD_CONNECT_FAIL]: 'connect-fail',
+    [CMD_WINDOW_UPDATE]: 'window-update',
+    [CMD_REVERSE_MAPPINGS]: 'reverse-mappings',
+    [CMD_UDP_DATA]: 'udp-data',
+    [CMD_UDP_OPEN]: 'udp-open'
+};
+const COMMAND_CODES = Object.fromEntries(Object.entries(COMMAND_NAMES).map(([code, name]) => [name, Number(code)]));
+
+// 地址类型定义（与SOCKS5保持一致）
+const ADDR_IPV4 = 0x01;
+const ADDR_DOMAIN = 0x03;
+const ADDR_IPV6 = 0x04;
+
+// 数据包最小长度: 1 + 16 + 1 + 0 + 2 + 4 = 24字节（地址部分长度可变）
+const MIN_PACKET_LENGTH = 24;
+
+// 数据部分的最大长度：数据按不超过一个帧的分片发送，解压后也不超过64KB
+const MAX_PACKET_DATA = 64 * 1024;
+
+// 将IPv6地址字符串转换为16字节（支持 :: 缩写和内嵌IPv4）
+function ipv6ToBuffer(address) {
+    let host = address.split('%')[0]; // 去掉作用域ID
+    const groups = [];
+
+    // 处理内嵌的IPv4地址，如 ::ffff:192.168.1.1
+    const lastColon = host.lastIndexOf(':');
+    const tail = host.substring(lastColon + 1);
+    if (net.isIPv4(tail)) {
+        const parts = tail.split('.').map(part => parseInt(part));
+        host = host.substring(0, lastColon + 1) +
+            ((parts[0] << 8) | parts[1]).toString(16) + ':' + ((parts[2] << 8) | parts[3]).toString(16);
+    }
+
+    const [head, rest] = host.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const restGroups = rest ? rest.split(':') : [];
+    groups.push(...headGroups);
+    if (rest !== undefined) {
+        for (let i = headGroups.length + restGroups.length; i < 8; i++) {
+            groups.push('0');
+        }
+    }
+    groups.push(...restGroups);
+
+    const buffer = Buffer.alloc(16);
+    groups.forEach((group, index) => buffer.writeUInt16BE(parseInt(group, 16) || 0, index * 2));
+    return buffer;
+}
+
+// 主机名（RFC 1123，允许末尾的点）或IP地址；全是数字和点的名字按写错的IPv4地址处理
+function isValidHost(host) {
+    if (net.isIP(host)) {
+        return true;
+    }
+    const name = host.endsWith('.') ? host.slice(0, -1) : host;
+    if (name.length === 0 || name.length > 253 || /^[\d.]+$/.test(name)) {
+        return false;
+    }
+    return name.split('.').every(label => /^[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9_])?$/i.test(label));
+}
+
+// 编码目标地址：地址类型(1) + 地址(IPv4为4字节，IPv6为16字节，域名为1字节长度+域名)
+function encodeAddress(targetHost) {
+    if (!targetHost || net.isIPv4(targetHost)) {
+        const ipParts = (targetHost || '0.0.0.0').split('.').map(part => parseInt(part) || 0);
+        return Buffer.concat([Buffer.from([ADDR_IPV4]), Buffer.from(ipParts)]);
+    }
+
+    if (net.isIPv6(targetHost)) {
+        return Buffer.concat([Buffer.from([ADDR_IPV6]), ipv6ToBuffer(targetHost)]);
+    }
+
+    const domainBuffer = Buffer.from(targetHost, 'utf8');
+    if (domainBuffer.length > 255) {
+        throw new Error(`目标主机名过长（最多255字节）: ${targetHost}`);
+    }
+    return Buffer.concat([Buffer.from([ADDR_DOMAIN, domainBuffer.length]), domainBuffer]);
+}
+
+// 解码目标地址为字符串
+function decodeAddress(addrType, addrBuffer) {
+    if (addrType === ADDR_IPV4) {
+        return Array.from(addrBuffer).join('.');
+    }
+    if (addrType === ADDR_IPV6) {
+        const groups = [];
+        for (let i = 0; i < 16; i += 2) {
+            groups.push(addrBuffer.readUInt16BE(i).toString(16));
+        }
+        return groups.join(':');
+    }
+    return addrBuffer.subarray(1).toString('utf8');
+}
+
+// 创建数据包；clientId 为32位hex字符串或标准UUID，省略时生成新的ID
+function createPacket(cmd, clientId, data, targetHost = '', targetPort = 0) {
+    const dataBuffer = Buffer.isBuffer(data) ? data : Buffer.from(data || '');
+
+    // 将客户端ID转换为16字节的UUID buffer
+    let clientIdBuffer;
+    if (typeof clientId === 'string' && clientId.length === 32) {
+        // 如果是32位hex字符串，转换为16字节
+        clientIdBuffer = Buffer.from(clientId, 'hex');
+    } else if (typeof clientId === 'string' && clientId.includes('-')) {
+        // 如果是标准UUID格式，移除连字符后转换
+        clientIdBuffer = Buffer.from(clientId.replace(/-/g, ''), 'hex');
+    } else {
+        // 否则生成一个新的UUID
+        clientIdBuffer = Buffer.from(crypto.randomUUID().replace(/-/g, ''), 'hex');
+    }
+
+    // 编码目标地址（IPv4、IPv6或域名）
+    const addrBuffer = encodeAddress(targetHost);
+
+    const packet = Buffer.alloc(1 + 16 + addrBuffer.length + 2 + 4 + dataBuffer.length);
+
+    let offset = 0;
+    packet.writeUInt8(cmd, offset); offset += 1;
+    clientIdBuffer.copy(packet, offset); offset += 16;
+    addrBuffer.copy(packet, offset); offset += addrBuffer.length;
+    packet.writeUInt16BE(targetPort, offset); offset += 2;
+    packet.writeUInt32BE(dataBuffer.length, offset); offset += 4;
+    dataBuffer.copy(packet, offset);
+
+    return packet;
+}
+
+// 解析数据包，格式错误或声明的数据长度超过 maxDataLength 时抛出异常
+// 返回的 cmd 为原始的命令字节（可能带压缩标志），clientId 为32位hex字符串，data 引用 packet 的内存
+function decodePacket(packet, maxDataLength = MAX_PACKET_DATA) {
+    if (packet.length < MIN_PACKET_LENGTH) {
+        throw new Error(`数据包长度不足: ${packet.length} 字节`);
+    }
+
+    const cmd = packet.readUInt8(0);
+    const clientId = packet.subarray(1, 17); // 16字节UUID
+    const addrType = packet.readUInt8(17);
+
+    // 根据地址类型确定地址部分的长度
+    let addrLength;
+    if (addrType === ADDR_IPV4) {
+        addrLength = 4;
+    } else if (addrType === ADDR_IPV6) {
+        addrLength = 16;
+    } else if (addrType === ADDR_DOMAIN) {
+        addrLength = 1 + packet.readUInt8(18); // 1字节长度 + 域名
+    } else {
+        throw new Error(`未知地址类型: ${addrType}`);
+    }
+
+    const headerLength = 18 + addrLength + 2 + 4;
+    if (packet.length < headerLength) {
+        throw new Error(`数据包头不完整: ${packet.length} 字节`);
+    }
+
+    const targetAddr = packet.subarray(18, 18 + addrLength);
+    const targetPort = packet.readUInt16BE(18 + addrLength);
+    const dataLength = packet.readUInt32BE(20 + addrLength);
+
+    if (dataLength > maxDataLength) {
+        throw new Error(`数据长度过大: 声明 ${dataLength} 字节 (最大 ${maxDataLength})`);
+    }
+    if (packet.length !== headerLength + dataLength) {
+        throw new Error(`数据长度不匹配: 声明 ${dataLength} 字节, 实际 ${packet.length - headerLength} 字节`);
+    }
+
+    return {
+        cmd,
+        clientId: clientId.toString('hex'), // 转换为hex字符串便于查找
+        targetHost: decodeAddress(addrType, targetAddr), // 将地址转换为字符串
+        targetPort,
+        data: packet.subarray(headerLength)
+    };
+}
+
+// 生成新的会话ID（32位hex字符串）
+function newClientId() {
+    return crypto.randomUUID().replace(/-/g, '');
+}
+
+function describeCommand(cmd) {
+    return COMMAND_NAMES[cmd] || `0x${cmd.toString(16).padStart(2, '0')}`;
+}
+
+// 数据包编码流：写入数据包对象 { cmd 或 type, clientId, data, targetHost, targetPort }，读出编码后的数据包
+// 设置了 compression（Compression 对象）时按协商结果压缩数据和UDP数据报
+class PacketEncoder extends Transform {
+    constructor(options = {}) {
+        super({ writableObjectMode: true });
+        this.compression = options.compression || null;
+    }
+
+    _transform(packet, encoding, callback) {
+        let encoded;
+        try {
+            encoded = this.encode(packet);
+        } catch (err) {
+            callback(err);
+            return;
+        }
+        callback(null, encoded);
+    }
+
+    // 同步编码一个数据包对象，命令未知或地址无法编码时抛出异常
+    encode(packet) {
+        let cmd = packet.cmd !== undefined ? packet.cmd : COMMAND_CODES[packet.type];
+        if (!COMMAND_NAMES[cmd]) {
+            throw new Error(`未知命令: ${packet.cmd !== undefined ? describeCommand(cmd) : packet.type}`);
+        }
+
+        let data = Buffer.isBuffer(packet.data) ? packet.data : Buffer.from(packet.data || '');
+        if (this.compression && (cmd === CMD_DATA || cmd === CMD_UDP_DATA)) {
+            ({ cmd, data } = this.compression.encode(cmd, data));
+        }
+        return createPacket(cmd, packet.clientId, data, packet.targetHost, packet.targetPort);
+    }
+}
+
+// 数据包解析流：写入已通过CRC校验的帧负载（每个恰好包含一个数据包），读出数据包对象
+// { type, cmd, clientId, targetHost, targetPort, data }；设置了 compression 时解压带压缩标志的数据
+// 格式错误、数据过大、解压失败或命令未知的数据包触发 'invalid' 事件后丢弃，不会使流出错，
+// 两端（以及其他实现的对端）对未知命令的处理因此一致
+class PacketDecoder extends Transform {
+    constructor(options = {}) {
+        super({ readableObjectMode: true });
+        this.compression = options.compression || null;
+        this.maxDataLength = options.maxDataLength || MAX_PACKET_DATA;
+        this.stats = {
+            packets: 0,        // 有效数据包数
+            invalidPackets: 0  // 丢弃的数据包数
+        };
+    }
+
+    _transform(chunk, encoding, callback) {
+        let packet;
+        try {
+            packet = this.decode(chunk);
+        } catch (err) {
+            this.stats.invalidPackets++;
+            this.emit('invalid', { reason: err.message, stats: { ...this.stats } });
+            callback();
+            return;
+        }
+        this.stats.packets++;
+        callback(null, packet);
+    }
+
+    decode(chunk) {
+        const { cmd, clientId, targetHost, targetPort, data } = decodePacket(chunk, this.maxDataLength);
+        let decoded = { cmd, data };
+        if (this.compression) {
+            try {
+                decoded = this.compression.decode(cmd, data);
+            } catch (err) {
+                throw new Error(`解压数据失败: ${err.message}`);
+            }
+        }
+
+        const type = COMMAND_NAMES[decoded.cmd];
+        if (!type) {
+            throw new Error(`未知命令: ${describeCommand(decoded.cmd)}`);
+        }
+        return { type, cmd: decoded.cmd, clientId, targetHost, targetPort, data: decoded.data };
+    }
+}
+
+module.exports = {
+    CMD_DATA,
+    CMD_CONNECT,
+    CMD_DISCONNECT,
+    CMD_PROGRAM_CLOSE,
+    CMD_CONNECT_OK,
+    CMD_CONNECT_FAIL,
+    CMD_WINDOW_UPDATE,
+    CMD_REVERSE_MAPPINGS,
+    CMD_UDP_DATA,
+    CMD_UDP_OPEN,
+    ADDR_IPV4,
+    ADDR_DOMAIN,
+    ADDR_IPV6,
+    COMMAND_NAMES,
+    MAX_PACKET_DATA,
+    isValidHost,
+    encodeAddress,
+    decodeAddress,
+    createPacket,
+    decodePacket,
+    newClientId,
+    describeCommand,
+    PacketEncoder,
+    PacketDecoder
+};
@@ -0,0 +1,78 @@
+const zlib = require('zlib');
+
+// 命令字节的最高位表示数据部分已用 deflate 压缩
+const CMD_FLAG_COMPRESSED = 0x80;
+
+// 小于该长度的数据（例如按键）不压缩，压缩收益抵不上开销
+const DEFAULT_THRESHOLD = 64;
+
+// 解压后的数据上限，防止损坏或恶意的数据包解压出超大数据
+const MAX_INFLATED_LENGTH = 64 * 1024;
+
+// 逐帧的数据压缩：每个数据包的数据部分独立压缩，不依赖前后数据包，
+// 因此在非可靠模式下丢帧也不会影响后续数据的解压
+class Compression {
+    constructor(options = {}) {
+        this.enabled = !!options.enabled;
+        this.threshold = options.threshold || DEFAULT_THRESHOLD;
+        this.peerEnabled = false; // 对端是否在握手中通告了压缩能力
+        this.stats = {
+            originalBytes: 0,   // 压缩前的字节数
+            compressedBytes: 0  // 压缩后实际发送的字节数
+        };
+    }
+
+    // 记录对端是否启用了压缩，返回压缩是否因此变为启用或停用
+    setPeerEnabled(enabled) {
+        const before = this.isActive();
+        this.peerEnabled = enabled;
+        return before !== this.isActive();
+    }
+
+    // 两端都启用时才压缩
+    isActive() {
+        return this.enabled && this.peerEnabled;
+    }
+
+    // 按需压缩数据，返回带压缩标志的命令和数据
+    encode(cmd, data) {
+        if (!this.isActive() || data.length < this.threshold) {
+            return { cmd, data };
+        }
+
+        const compressed = zlib.deflateRawSync(data);
+        // 压缩后没有变小（已压缩或加密的数据）则原样发送
+        if (compressed.length >= data.length) {
+            return { cmd, data };
+        }
+
+        this.stats.originalBytes += data.length;
+        this.stats.compressedBytes += compressed.length;
+        return { cmd: cmd | CMD_FLAG_COMPRESSED, data: compressed };
+    }
+
+    // 还原命令和数据；数据损坏时抛出异常
+    decode(cmd, data) {
+        if ((cmd & CMD_FLAG_COMPRESSED) === 0) {
+            return { cmd, data };
+        }
+        return {
+            cmd: cmd & ~CMD_FLAG_COMPRESSED,
+            data: zlib.inflateRawSync(data, { maxOutputLength: MAX_INFLATED_LENGTH })
+        };
+    }
+
+    // 压缩率（用于日志）
+    describe() {
+        const { originalBytes, compressedBytes } = this.stats;
+        if (originalBytes === 0) {
+            return '尚未压缩数据';
+        }
+        return `${originalBytes} 字节压缩为 ${compressedBytes} 字节 (${(compressedBytes / originalBytes * 100).toFixed(1)}%)`;
+    }
+}
+
+module.exports = {
+    Compression,
+    CMD_FLAG_COMPRESSED
+};
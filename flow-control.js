@@ -0,0 +1,98 @@
+// 默认的每连接发送窗口（字节）
+const DEFAULT_WINDOW = 64 * 1024;
+
+// 基于信用的流量控制：
+// - 每个连接初始拥有一个窗口的发送信用，发送数据时扣减，信用耗尽时暂停本地套接字
+// - 接收方在数据真正写入本地套接字后累计已消费的字节，超过窗口的1/4时以窗口更新的形式归还信用
+// - 串口（链路层）写缓冲已满时暂停所有本地套接字，链路排空后恢复
+class FlowController {
+    constructor(options = {}) {
+        this.window = options.window || DEFAULT_WINDOW;
+        this.sessions = new Map(); // clientId -> { socket, credit, consumed, paused }
+        this.linkBlocked = false;
+    }
+
+    // 登记连接；paused 表示套接字当前是否已被暂停
+    open(clientId, socket, paused = false) {
+        const session = {
+            socket,
+            credit: this.window,
+            consumed: 0,
+            paused
+        };
+        this.sessions.set(clientId, session);
+        this.update(session);
+        return session;
+    }
+
+    close(clientId) {
+        this.sessions.delete(clientId);
+    }
+
+    // 向对端发送数据后调用
+    onSent(clientId, bytes) {
+        const session = this.sessions.get(clientId);
+        if (session) {
+            session.credit -= bytes;
+            this.update(session);
+        }
+    }
+
+    // 收到对端的窗口更新
+    onWindowUpdate(clientId, bytes) {
+        const session = this.sessions.get(clientId);
+        if (session) {
+            session.credit += bytes;
+            this.update(session);
+        }
+    }
+
+    // 从对端收到的数据已写入本地套接字，返回应归还给对端的信用（0表示暂不发送窗口更新）
+    onConsumed(clientId, bytes) {
+        const session = this.sessions.get(clientId);
+        if (!session) {
+            return 0;
+        }
+        session.consumed += bytes;
+        if (session.consumed < this.window / 4) {
+            return 0;
+        }
+        const grant = session.consumed;
+        session.consumed = 0;
+        return grant;
+    }
+
+    // 链路层写缓冲状态变化
+    setLinkBlocked(blocked) {
+        if (this.linkBlocked === blocked) {
+            return;
+        }
+        this.linkBlocked = blocked;
+        this.sessions.forEach(session => this.update(session));
+    }
+
+    update(session) {
+        const shouldPause = this.linkBlocked || session.credit <= 0;
+        if (session.socket.destroyed) {
+            return;
+        }
+        if (shouldPause && !session.paused) {
+            session.socket.pause();
+            session.paused = true;
+        } else if (!shouldPause && session.paused) {
+            session.socket.resume();
+            session.paused = false;
+        }
+    }
+
+    // 当前连接状态（用于调试日志）
+    describe(clientId) {
+        const session = this.sessions.get(clientId);
+        return session ? `信用 ${session.credit} 字节, ${session.paused ? '已暂停' : '传输中'}` : '未登记';
+    }
+}
+
+module.exports = {
+    FlowController,
+    DEFAULT_WINDOW
+};
@@ -0,0 +1,258 @@
+const { Transform } = require('stream');
+
+// 帧格式：
+// 同步标记(2: 0xA5 0x5A) + 负载长度(4) + 负载(变长) + CRC32(4，覆盖负载长度和负载)
+const SYNC_BYTE_1 = 0xA5;
+const SYNC_BYTE_2 = 0x5A;
+const SYNC_MARKER = Buffer.from([SYNC_BYTE_1, SYNC_BYTE_2]);
+const FRAME_HEADER_LENGTH = 2 + 4;
+const FRAME_TRAILER_LENGTH = 4;
+
+// 负载最大长度：最长数据包头(1 + 16 + 1 + 256 + 2 + 4) + 64KB数据
+// 超过该长度的帧头一定是损坏的，立即重新同步而不是等待永远不会到达的数据
+const MAX_FRAME_PAYLOAD = 280 + 64 * 1024;
+
+// CRC-32 (IEEE 802.3) 查找表
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let c = i;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[i] = c >>> 0;
+    }
+    return table;
+})();
+
+// 计算CRC-32，可传入上一次的结果以便分段计算
+function crc32(buffer, previous = 0) {
+    let crc = (previous ^ 0xFFFFFFFF) >>> 0;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// 将负载封装为帧
+function encodeFrame(payload) {
+    if (payload.length > MAX_FRAME_PAYLOAD) {
+        throw new Error(`帧负载过大: ${payload.length} 字节 (最大 ${MAX_FRAME_PAYLOAD})`);
+    }
+
+    const frame = Buffer.alloc(FRAME_HEADER_LENGTH + payload.length + FRAME_TRAILER_LENGTH);
+    let offset = 0;
+    SYNC_MARKER.copy(frame, offset); offset += 2;
+    frame.writeUInt32BE(payload.length, offset); offset += 4;
+    payload.copy(frame, offset); offset += payload.length;
+    frame.writeUInt32BE(crc32(frame.subarray(2, offset)), offset);
+
+    return frame;
+}
+
+// 帧解析流：查找同步标记、校验CRC，遇到损坏数据时丢弃并在下一个有效帧处重新同步
+// 缓冲的数据不超过一个最大帧加一个数据块：负载长度超过 maxPayload 的帧头立即丢弃，
+// 收到的数据块先记下，够一个完整的帧（或帧头）时才合并，避免每收到一块数据都复制整个积压的数据
+class FrameParser extends Transform {
+    constructor(options = {}) {
+        super({ ...options, objectMode: false });
+        this.buffer = Buffer.alloc(0);  // 已合并、尚未解析的数据
+        this.chunks = [];               // 之后收到、尚未合并的数据块
+        this.bufferedLength = 0;        // 以上两者的总长度
+        this.needed = FRAME_HEADER_LENGTH; // 下一次解析需要的数据长度
+        this.maxPayload = options.maxPayload || MAX_FRAME_PAYLOAD;
+        this.stats = {
+            frames: 0,        // 有效帧数
+            corruptFrames: 0, // 丢弃的损坏帧数
+            droppedBytes: 0   // 重新同步时丢弃的字节数
+        };
+    }
+
+    _transform(chunk, encoding, callback) {
+        this.chunks.push(chunk);
+        this.bufferedLength += chunk.length;
+        if (this.bufferedLength < this.needed) {
+            callback();
+            return;
+        }
+
+        const parts = this.buffer.length > 0 ? [this.buffer, ...this.chunks] : this.chunks;
+        this.buffer = parts.length === 1 ? parts[0] : Buffer.concat(parts, this.bufferedLength);
+        this.chunks = [];
+        this.needed = FRAME_HEADER_LENGTH;
+
+        while (this.buffer.length >= FRAME_HEADER_LENGTH) {
+            // 查找同步标记
+            if (this.buffer[0] !== SYNC_BYTE_1 || this.buffer[1] !== SYNC_BYTE_2) {
+                this.resync();
+                continue;
+            }
+
+            const payloadLength = this.buffer.readUInt32BE(2);
+            if (payloadLength > this.maxPayload) {
+                this.reject(`负载长度异常: ${payloadLength}`);
+                continue;
+            }
+
+            const frameLength = FRAME_HEADER_LENGTH + payloadLength + FRAME_TRAILER_LENGTH;
+            if (this.buffer.length < frameLength) {
+                this.needed = frameLength;
+                break;
+            }
+
+            const expectedCrc = this.buffer.readUInt32BE(FRAME_HEADER_LENGTH + payloadLength);
+            const actualCrc = crc32(this.buffer.subarray(2, FRAME_HEADER_LENGTH + payloadLength));
+            if (expectedCrc !== actualCrc) {
+                this.reject(`CRC校验失败: 期望 ${expectedCrc.toString(16)}, 实际 ${actualCrc.toString(16)}`);
+                continue;
+            }
+
+            const payload = this.buffer.subarray(FRAME_HEADER_LENGTH, FRAME_HEADER_LENGTH + payloadLength);
+            this.buffer = this.buffer.subarray(frameLength);
+            this.stats.frames++;
+
+            this.emit('frame', payload);
+        }
+
+        this.bufferedLength = this.buffer.length;
+        callback();
+    }
+
+    // 丢弃当前同步标记并重新同步
+    reject(reason) {
+        this.stats.corruptFrames++;
+        this.emit('corrupt', { reason, stats: { ...this.stats } });
+        this.buffer = this.buffer.subarray(1);
+        this.resync();
+    }
+
+    // 跳过数据直到下一个同步标记
+    resync() {
+        let index = this.buffer.indexOf(SYNC_MARKER);
+        if (index === -1) {
+            // 找不到时保留最后一个字节，它可能是被截断的同步标记的开头
+            const keep = this.buffer[this.buffer.length - 1] === SYNC_BYTE_1 ? 1 : 0;
+            index = this.buffer.length - keep;
+        }
+        this.stats.droppedBytes += index;
+        this.buffer = this.buffer.subarray(index);
+    }
+
+    // 清空解析状态
+    reset() {
+        this.buffer = Buffer.alloc(0);
+        this.chunks = [];
+        this.bufferedLength = 0;
+        this.needed = FRAME_HEADER_LENGTH;
+    }
+}
+
+// 线路编码：串口不能透明传输任意字节时，在帧和串口之间转义不能出现在线路上的字节
+//   flowControl  启用了 XON/XOFF 软件流控，线路上不能出现 0x11 / 0x13（收到的这两个字节是流控字符，直接丢弃）
+//   sevenBit     7 个数据位，线路上不能出现最高位为 1 的字节
+// 转义方式：0x7D + (字节 ^ 0x20) 表示一个需要转义的字节；7 位模式下 0x7E 表示下一个字节的最高位为 1，
+// 其后的字节按同样的规则编码。两端的设置必须相同；损坏的转义只影响附近的几个字节，由帧的CRC发现
+const LINE_ESCAPE = 0x7D;
+const LINE_HIGH_BIT = 0x7E;
+const XON = 0x11;
+const XOFF = 0x13;
+
+class LineCodec {
+    constructor(options = {}) {
+        this.flowControl = !!options.flowControl;
+        this.sevenBit = !!options.sevenBit;
+        // 需要转义的字节，7 位模式下按去掉最高位之后的值查找
+        this.escaped = new Uint8Array(256);
+        this.escaped[LINE_ESCAPE] = 1;
+        if (this.sevenBit) {
+            this.escaped[LINE_HIGH_BIT] = 1;
+        }
+        if (this.flowControl) {
+            this.escaped[XON] = 1;
+            this.escaped[XOFF] = 1;
+        }
+        this.reset();
+    }
+
+    isActive() {
+        return this.flowControl || this.sevenBit;
+    }
+
+    describe() {
+        const parts = [];
+        if (this.sevenBit) {
+            parts.push('7位');
+        }
+        if (this.flowControl) {
+            parts.push('转义XON/XOFF');
+        }
+        return parts.length > 0 ? parts.join(', ') : '透明';
+    }
+
+    // 编码一段要写入串口的数据
+    encode(data) {
+        if (!this.isActive()) {
+            return data;
+        }
+        const output = Buffer.allocUnsafe(data.length * 3);
+        let length = 0;
+        for (let i = 0; i < data.length; i++) {
+            let byte = data[i];
+            if (this.sevenBit && byte >= 0x80) {
+                output[length++] = LINE_HIGH_BIT;
+                byte &= 0x7F;
+            }
+            if (this.escaped[byte]) {
+                output[length++] = LINE_ESCAPE;
+                byte ^= 0x20;
+            }
+            output[length++] = byte;
+        }
+        return output.subarray(0, length);
+    }
+
+    // 解码一段从串口读到的数据；转义可能跨越两次读取，状态保留到下一次调用
+    decode(data) {
+        if (!this.isActive()) {
+            return data;
+        }
+        const output = Buffer.allocUnsafe(data.length);
+        let length = 0;
+        for (let i = 0; i < data.length; i++) {
+            let byte = this.sevenBit ? data[i] & 0x7F : data[i];
+            if (this.flowControl && (byte === XON || byte === XOFF)) {
+                continue;
+            }
+            if (this.sevenBit && byte === LINE_HIGH_BIT) {
+                this.highBit = 0x80;
+                continue;
+            }
+            if (byte === LINE_ESCAPE) {
+                this.escaping = true;
+                continue;
+            }
+            if (this.escaping) {
+                byte ^= 0x20;
+                this.escaping = false;
+            }
+            output[length++] = byte | this.highBit;
+            this.highBit = 0;
+        }
+        return output.subarray(0, length);
+    }
+
+    // 清空解码状态（重新打开串口时）
+    reset() {
+        this.escaping = false;
+        this.highBit = 0;
+    }
+}
+
+module.exports = {
+    SYNC_MARKER,
+    MAX_FRAME_PAYLOAD,
+    crc32,
+    encodeFrame,
+    FrameParser,
+    LineCodec
+};
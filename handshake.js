@@ -0,0 +1,303 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+// 握手帧类型（帧负载的第一个字节），与链路层(0x00-0x04)和加密层(0x10-0x11)不重叠
+// 握手帧不经过加密层，使两端在密钥不一致或一端未配置密钥时也能给出明确的错误；
+// 配置了预共享密钥时握手帧和心跳末尾附加以密钥派生的HMAC，未通过认证的一律丢弃，
+// 使链路上注入的握手帧不能让本端认为对端不兼容或已重启
+const HS_HELLO = 0x20;
+const HS_HELLO_ACK = 0x21;
+const HS_PING = 0x22; // 心跳：发送方时间戳(4)
+const HS_PONG = 0x23; // 心跳应答：回显的时间戳(4)
+
+// 协议版本：数据包头布局或帧格式不兼容时递增
+const PROTOCOL_VERSION = 2;
+
+// 能力位
+const CAP_COMPRESSION = 0x01; // 启用了数据压缩
+const CAP_ENCRYPTION = 0x02;  // 启用了链路加密
+const CAP_RELIABLE = 0x04;    // 发送方向启用了可靠传输
+const CAP_IPV6 = 0x08;        // 支持IPv6地址类型
+const CAP_REVERSE = 0x10;     // 支持反向映射（客户端侧监听、服务端侧连接目标）
+const CAP_UDP = 0x20;         // 支持UDP数据报转发
+const CAP_UDP_TIMEOUT = 0x40; // 支持UDP会话的空闲超时通知（udp-open 命令）
+
+// 两端必须一致的能力：一端加密而另一端不加密时所有帧都会被丢弃
+const REQUIRED_MATCH = CAP_ENCRYPTION;
+
+const CAPABILITY_NAMES = [
+    [CAP_COMPRESSION, '压缩'],
+    [CAP_ENCRYPTION, '加密'],
+    [CAP_RELIABLE, '可靠传输'],
+    [CAP_IPV6, 'IPv6'],
+    [CAP_REVERSE, '反向映射'],
+    [CAP_UDP, 'UDP'],
+    [CAP_UDP_TIMEOUT, 'UDP超时']
+];
+
+// 握手消息：类型(1) + 协议版本(1) + 最大帧负载(4) + 能力位(4) + 实例ID(4)，接收方忽略多余的字节
+const HELLO_LENGTH = 1 + 1 + 4 + 4 + 4;
+
+// 握手帧认证标签的长度
+const AUTH_TAG_LENGTH = 16;
+
+// 连续多少次没有应答后提示对端可能未启动或版本过旧
+const SILENT_WARN_AFTER = 5;
+
+// 默认的对端超时：超过该时间没有收到任何帧即认为链路已断开，心跳间隔为其三分之一
+const DEFAULT_PEER_TIMEOUT = 15000;
+
+function describeCapabilities(caps) {
+    const names = CAPABILITY_NAMES.filter(([bit]) => caps & bit).map(([, name]) => name);
+    return names.length > 0 ? names.join(', ') : '无';
+}
+
+// 串口打开时的链路握手：交换协议版本、最大帧长度和能力位
+// 在对端确认兼容之前丢弃所有其他帧，避免把不兼容格式的数据当作数据包解析
+// 握手完成后定期发送心跳，超过对端超时没有收到任何帧时认为链路断开，收到对端的帧后恢复
+class LinkHandshake extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.version = options.version || PROTOCOL_VERSION;
+        this.maxFrame = options.maxFrame;
+        this.capabilities = options.capabilities || 0;
+        this.retryInterval = options.retryInterval || 1000;
+        this.peerTimeout = options.peerTimeout || DEFAULT_PEER_TIMEOUT;
+        this.output = options.output || null; // (payload, callback) => boolean
+        // 握手帧的认证密钥，由预共享密钥派生，与加密层的密钥不同；未配置预共享密钥时为 null
+        this.authKey = options.psk ? crypto.createHmac('sha256', options.psk).update('tcp-uart-bridge handshake').digest() : null;
+
+        this.instanceId = crypto.randomBytes(4).readUInt32BE(0);
+        this.peer = null;       // { version, maxFrame, capabilities, instanceId }，重新握手时保留以识别对端是否重启
+        this.state = 'idle';    // idle | waiting | ready | down | incompatible
+        this.established = false; // 本次启动后是否已经触发过 'ready'
+        this.retryTimer = null;
+        this.heartbeatTimer = null;
+        this.lastReceived = 0;  // 最近一次收到对端帧的时间
+        this.attempts = 0;
+        this.droppedFrames = 0;
+        this.authFailures = 0;  // 未通过认证的握手帧数
+    }
+
+    isReady() {
+        return this.state === 'ready';
+    }
+
+    // 串口打开（或重新打开）后调用：发送HELLO并在收到对端的握手前定期重发
+    start() {
+        this.state = 'waiting';
+        this.attempts = 0;
+        this.sendHello(HS_HELLO);
+        this.armRetryTimer();
+    }
+
+    stop() {
+        clearTimeout(this.retryTimer);
+        clearInterval(this.heartbeatTimer);
+        this.retryTimer = null;
+        this.heartbeatTimer = null;
+        this.state = 'idle';
+    }
+
+    // 握手完成后开始心跳
+    startHeartbeat() {
+        if (this.heartbeatTimer) {
+            return;
+        }
+        this.heartbeatTimer = setInterval(() => {
+            this.sendHeartbeat(HS_PING, Date.now() >>> 0);
+            if (this.state === 'ready' && Date.now() - this.lastReceived > this.peerTimeout) {
+                this.state = 'down';
+                this.emit('link-down', { silence: Date.now() - this.lastReceived });
+            }
+        }, Math.max(100, Math.floor(this.peerTimeout / 3)));
+    }
+
+    sendHeartbeat(type, timestamp) {
+        const heartbeat = Buffer.alloc(5);
+        heartbeat.writeUInt8(type, 0);
+        heartbeat.writeUInt32BE(timestamp, 1);
+        this.sendControl(heartbeat);
+    }
+
+    handleHeartbeat(type, heartbeat) {
+        if (heartbeat.length < 5) {
+            return;
+        }
+        const timestamp = heartbeat.readUInt32BE(1);
+        if (type === HS_PING) {
+            this.sendHeartbeat(HS_PONG, timestamp);
+        } else {
+            this.emit('rtt', ((Date.now() >>> 0) - timestamp) >>> 0);
+        }
+    }
+
+    armRetryTimer() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => {
+            if (this.state !== 'waiting') {
+                return;
+            }
+            if (++this.attempts === SILENT_WARN_AFTER) {
+                this.emit('warning', `对端没有应答握手（已重试 ${this.attempts} 次），对端未启动或版本过旧？`);
+            }
+            this.sendHello(HS_HELLO);
+            this.armRetryTimer();
+        }, this.retryInterval);
+    }
+
+    sendHello(type) {
+        const hello = Buffer.alloc(HELLO_LENGTH);
+        let offset = 0;
+        hello.writeUInt8(type, offset); offset += 1;
+        hello.writeUInt8(this.version, offset); offset += 1;
+        hello.writeUInt32BE(this.maxFrame, offset); offset += 4;
+        hello.writeUInt32BE(this.capabilities, offset); offset += 4;
+        hello.writeUInt32BE(this.instanceId, offset);
+        this.sendControl(hello);
+    }
+
+    // 发送握手帧或心跳，配置了预共享密钥时附加认证标签
+    sendControl(frame) {
+        this.output(this.authKey ? Buffer.concat([frame, this.authTag(frame)]) : frame, () => {});
+    }
+
+    authTag(data) {
+        return crypto.createHmac('sha256', this.authKey).update(data).digest().subarray(0, AUTH_TAG_LENGTH);
+    }
+
+    // 验证握手帧或心跳的认证标签，通过时返回去掉标签的帧，否则返回 null
+    authenticate(frame) {
+        if (!this.authKey) {
+            return frame;
+        }
+        if (frame.length > AUTH_TAG_LENGTH) {
+            const body = frame.subarray(0, frame.length - AUTH_TAG_LENGTH);
+            if (crypto.timingSafeEqual(frame.subarray(body.length), this.authTag(body))) {
+                return body;
+            }
+        }
+        this.authFailures++;
+        this.emit('auth-failure', { count: this.authFailures });
+        return null;
+    }
+
+    // 检查对端是否兼容，返回不兼容的原因（兼容时返回 null）
+    checkPeer(peer) {
+        if (peer.version !== this.version) {
+            return `协议版本不一致: 本端 ${this.version}, 对端 ${peer.version}`;
+        }
+        const mismatch = (peer.capabilities ^ this.capabilities) & REQUIRED_MATCH;
+        if (mismatch & CAP_ENCRYPTION) {
+            return this.capabilities & CAP_ENCRYPTION ? '本端启用了加密而对端没有' : '对端启用了加密而本端没有';
+        }
+        return null;
+    }
+
+    handleHello(type, hello) {
+        if (hello.length < HELLO_LENGTH) {
+            this.emit('warning', `握手消息长度不足: ${hello.length}`);
+            return;
+        }
+
+        const peer = {
+            version: hello.readUInt8(1),
+            maxFrame: hello.readUInt32BE(2),
+            capabilities: hello.readUInt32BE(6),
+            instanceId: hello.readUInt32BE(10)
+        };
+
+        // 对端发起的握手总是应答，使后启动的一端也能完成握手
+        if (type === HS_HELLO) {
+            this.sendHello(HS_HELLO_ACK);
+        }
+
+        // 同一对端实例的重复握手（例如重发或应答）无需重新处理
+        const previous = this.peer;
+        const samePeer = previous !== null && previous.instanceId === peer.instanceId;
+        if (samePeer && (this.state === 'ready' || this.state === 'incompatible')) {
+            return;
+        }
+
+        this.peer = peer;
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        const reason = this.checkPeer(peer);
+        if (reason) {
+            this.state = 'incompatible';
+            this.emit('incompatible', { reason, peer });
+            return;
+        }
+
+        this.state = 'ready';
+        this.startHeartbeat();
+        if (!this.established) {
+            this.established = true;
+            this.emit('ready', { peer });
+        } else if (samePeer) {
+            // 串口重新打开或链路中断后与同一对端实例重新握手：对端的会话状态仍然有效
+            this.emit('link-up');
+        } else {
+            // 已就绪后对端以新实例重新握手：对端进程重启
+            this.emit('peer-restart', { peer });
+        }
+    }
+
+    // 处理收到的帧负载；握手之外的帧在对端就绪后触发 'payload' 事件
+    receive(frame) {
+        if (frame.length === 0) {
+            return;
+        }
+
+        const type = frame.readUInt8(0);
+        const control = type === HS_HELLO || type === HS_HELLO_ACK || type === HS_PING || type === HS_PONG;
+        if (control) {
+            frame = this.authenticate(frame);
+            if (!frame) {
+                return;
+            }
+        }
+
+        this.lastReceived = Date.now();
+        if (type === HS_HELLO || type === HS_HELLO_ACK) {
+            // 链路断开期间的握手由 handleHello 判断是链路恢复还是对端重启
+            this.handleHello(type, frame);
+            return;
+        }
+
+        // 链路断开期间收到对端的任何其他帧都说明链路已恢复
+        if (this.state === 'down') {
+            this.state = 'ready';
+            this.emit('link-up');
+        }
+        if (control) {
+            this.handleHeartbeat(type, frame);
+            return;
+        }
+
+        if (this.state !== 'ready') {
+            this.droppedFrames++;
+            return;
+        }
+        this.emit('payload', frame);
+    }
+
+    // 发送上层的帧负载
+    send(payload, callback) {
+        return this.output(payload, callback);
+    }
+}
+
+module.exports = {
+    LinkHandshake,
+    PROTOCOL_VERSION,
+    CAP_COMPRESSION,
+    CAP_ENCRYPTION,
+    CAP_RELIABLE,
+    CAP_IPV6,
+    CAP_REVERSE,
+    CAP_UDP,
+    CAP_UDP_TIMEOUT,
+    describeCapabilities
+};
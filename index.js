@@ -0,0 +1,14 @@
+// 作为库使用：在其他程序中创建服务端和客户端侧，或按同样的格式编码和解析数据包
+// tcp-server.js 和 tcp-client.js 只是读取命令行选项后启动 BridgeServer / BridgeClient 的包装
+const { BridgeServer } = require('./bridge-server');
+const { BridgeClient } = require('./bridge-client');
+const codec = require('./codec');
+const { resolveOptions, VERSION } = require('./cli-options');
+
+module.exports = {
+    BridgeServer,
+    BridgeClient,
+    codec,
+    resolveOptions,
+    VERSION
+};
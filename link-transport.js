@@ -0,0 +1,449 @@
+const EventEmitter = require('events');
+const net = require('net');
+const fs = require('fs');
+const { SerialPort } = require('serialport');
+
+// 链路传输：除串口外，链路也可以运行在 TCP 连接、Unix 域套接字或标准输入输出（经 ssh、socat 转发）上
+// 传输对象提供与 SerialPort 相同的接口：open(cb) / close(cb) / write(data, cb) / isOpen / writableLength / path，
+// 以及 'data'、'drain'、'error'、'close' 事件（意外断开时 'close' 的参数带有 disconnected），
+// 因此重新连接、帧解析和会话逻辑不区分传输类型
+//
+// 传输的写法：
+//   serial（默认）             使用 port 或 USB 标识选择的串口
+//   tcp://host:port            连接到对端监听的 TCP 端口
+//   tcp-listen://[host]:port   监听 TCP 端口，接受对端的连接；省略 host 时只监听 127.0.0.1
+//   unix:/path/to.sock         连接到对端监听的 Unix 域套接字
+//   unix-listen:/path/to.sock  监听 Unix 域套接字
+//   stdio                      标准输入读取、标准输出写入（日志改为写到标准错误）
+// 作为库使用时还可以直接给出一个双工流（BridgeServer / BridgeClient 的 linkStream 选项，例如测试中的内存管道）
+
+// 解析传输的写法，无效时抛出异常
+function parseTransport(spec) {
+    if (!spec || spec === 'serial') {
+        return { type: 'serial' };
+    }
+    if (spec === 'stdio') {
+        return { type: 'stdio' };
+    }
+
+    let match = /^(tcp|tcp-listen):\/\/(?:\[([0-9a-fA-F:.]+)\]|([^:\/\[\]]*)):(\d+)$/.exec(spec);
+    if (match) {
+        const port = parseInt(match[4], 10);
+        if (port < 1 || port > 65535) {
+            throw new Error(`transport: 端口应为 1-65535，实际为 ${port}`);
+        }
+        const listen = match[1] === 'tcp-listen';
+        // 省略 host 时只在本机监听，监听所有网卡需要明确写出 0.0.0.0 或 [::]
+        const host = match[2] || match[3] || (listen ? '127.0.0.1' : 'localhost');
+        return { type: 'tcp', listen, host, port };
+    }
+
+    match = /^(unix|unix-listen):(.+)$/.exec(spec);
+    if (match) {
+        return { type: 'unix', listen: match[1] === 'unix-listen', path: match[2] };
+    }
+
+    throw new Error(`transport: 无效的传输 ${JSON.stringify(spec)}，应为 serial、tcp://host:port、tcp-listen://[host]:port、unix:路径、unix-listen:路径 或 stdio`);
+}
+
+function describeTransport(transport) {
+    switch (transport.type) {
+        case 'tcp': {
+            const host = net.isIPv6(transport.host) ? `[${transport.host}]` : transport.host;
+            return `${transport.listen ? 'tcp-listen' : 'tcp'}://${host}:${transport.port}`;
+        }
+        case 'unix':
+            return `${transport.listen ? 'unix-listen' : 'unix'}:${transport.path}`;
+        default:
+            return transport.type;
+    }
+}
+
+// 串口：一个 SerialPort 对象对应一个固定的设备路径，重新定位到另一个路径时（USB转串口模块重新枚举）换用新的 SerialPort 对象，
+// 事件都转发到本对象上，因此重新连接和上层的监听器不受影响
+class SerialTransport extends EventEmitter {
+    constructor(serialOptions) {
+        super();
+        this.serialOptions = serialOptions;
+        this.port = null;
+        this.detachPort = null;
+        this.usePort(serialOptions.path);
+    }
+
+    get path() {
+        return this.port.path;
+    }
+
+    get settings() {
+        return this.port.settings;
+    }
+
+    get isOpen() {
+        return this.port.isOpen;
+    }
+
+    get writableLength() {
+        return this.port.writableLength;
+    }
+
+    // 换用指定路径的串口，只能在串口关闭时调用
+    setPath(path) {
+        if (path === this.port.path) {
+            return;
+        }
+        if (this.port.isOpen) {
+            throw new Error(`串口 ${this.port.path} 仍处于打开状态，不能换用 ${path}`);
+        }
+        this.detachPort();
+        this.usePort(path);
+    }
+
+    usePort(path) {
+        const port = new SerialPort({ ...this.serialOptions, path, autoOpen: false });
+        const forwarders = ['data', 'drain', 'error', 'close'].map((event) => {
+            const forward = (...args) => this.emit(event, ...args);
+            port.on(event, forward);
+            return [event, forward];
+        });
+        this.detachPort = () => {
+            forwarders.forEach(([event, forward]) => port.removeListener(event, forward));
+        };
+        this.port = port;
+    }
+
+    open(callback) {
+        this.port.open(callback);
+    }
+
+    close(callback) {
+        this.port.close(callback);
+    }
+
+    write(data, callback) {
+        return this.port.write(data, callback);
+    }
+
+    drain(callback) {
+        this.port.drain(callback);
+    }
+
+    set(signals, callback) {
+        this.port.set(signals, callback);
+    }
+}
+
+// 基于字节流（套接字或标准输入输出）的传输，每次打开得到一个新的流
+class StreamTransport extends EventEmitter {
+    constructor(description) {
+        super();
+        this.path = description;
+        this.isOpen = false;
+        this.input = null;
+        this.output = null;
+        this.closing = false;
+        this.detachListeners = null;
+    }
+
+    get writableLength() {
+        return this.output ? this.output.writableLength : 0;
+    }
+
+    attach(input, output = input) {
+        this.input = input;
+        this.output = output;
+        this.isOpen = true;
+        this.closing = false;
+
+        const onData = (data) => this.emit('data', data);
+        const onDrain = () => this.emit('drain');
+        const onError = (err) => this.emit('error', err);
+        const onEnd = () => this.detach(new Error('对端关闭了连接'));
+        const onClose = () => this.detach(new Error('连接已关闭'));
+        input.on('data', onData);
+        input.on('error', onError);
+        input.on('end', onEnd);
+        input.on('close', onClose);
+        output.on('drain', onDrain);
+        if (output !== input) {
+            output.on('error', onError);
+        }
+        this.detachListeners = () => {
+            input.removeListener('data', onData);
+            input.removeListener('error', onError);
+            input.removeListener('end', onEnd);
+            input.removeListener('close', onClose);
+            output.removeListener('drain', onDrain);
+            output.removeListener('error', onError);
+        };
+        input.resume();
+    }
+
+    detach(reason) {
+        if (!this.isOpen) {
+            return;
+        }
+        this.detachListeners();
+        this.isOpen = false;
+        const input = this.input;
+        this.input = null;
+        this.output = null;
+        this.release(input);
+
+        if (this.closing) {
+            this.emit('close', null);
+            return;
+        }
+        const err = new Error(reason.message);
+        err.disconnected = true;
+        this.emit('close', err);
+    }
+
+    // 断开后释放流，套接字直接销毁
+    release(input) {
+        input.destroy();
+    }
+
+    write(data, callback) {
+        if (!this.isOpen) {
+            if (callback) {
+                process.nextTick(callback, new Error('链路未打开'));
+            }
+            return true;
+        }
+        return this.output.write(data, callback);
+    }
+
+    close(callback) {
+        this.closing = true;
+        this.detach(new Error('连接已关闭'));
+        if (callback) {
+            process.nextTick(callback, null);
+        }
+    }
+}
+
+// 主动连接到对端的 TCP 端口或 Unix 域套接字
+class ConnectTransport extends StreamTransport {
+    constructor(transport) {
+        super(describeTransport(transport));
+        this.connectOptions = transport.type === 'unix' ? { path: transport.path } : { host: transport.host, port: transport.port };
+    }
+
+    open(callback) {
+        const socket = net.connect(this.connectOptions);
+        const onError = (err) => callback(err);
+        socket.once('error', onError);
+        socket.once('connect', () => {
+            socket.removeListener('error', onError);
+            socket.setNoDelay(true);
+            this.attach(socket);
+            callback(null);
+        });
+    }
+}
+
+// 监听 TCP 端口或 Unix 域套接字，同一时间只接受一个对端连接
+// 已有对端连接（正在使用或等待取用）时拒绝新的连接，其他人不能顶替已建立的对端；
+// 对端进程重启时旧连接随之关闭，因此对端仍可以立即重新连接
+class ListenTransport extends StreamTransport {
+    constructor(transport) {
+        super(describeTransport(transport));
+        this.transport = transport;
+        this.server = null;
+        this.pending = null;   // 等待 open() 取用的连接
+        this.waiting = null;   // 等待连接的 open() 回调
+    }
+
+    open(callback) {
+        if (this.pending) {
+            this.accept(this.pending, callback);
+            return;
+        }
+        this.waiting = callback;
+        if (this.server) {
+            return;
+        }
+
+        const server = net.createServer((socket) => this.onConnection(socket));
+        server.once('error', (err) => {
+            this.server = null;
+            const waiting = this.waiting;
+            this.waiting = null;
+            if (waiting) {
+                waiting(err);
+            }
+        });
+        server.once('listening', () => {
+            server.on('error', (err) => this.emit('error', err));
+            this.emit('listening', this.path);
+        });
+        this.server = server;
+
+        if (this.transport.type === 'unix') {
+            this.removeStaleSocket((err) => {
+                if (this.server !== server) {
+                    return;
+                }
+                if (err) {
+                    server.emit('error', err);
+                    return;
+                }
+                server.listen(this.transport.path);
+            });
+        } else {
+            server.listen(this.transport.port, this.transport.host);
+        }
+    }
+
+    // 上次异常退出留下的套接字文件会使 listen 失败：先尝试连接，连接被拒绝（没有进程在监听）时才删除，
+    // 仍有进程在监听时报错，不能悄悄抢走它的端点
+    removeStaleSocket(callback) {
+        const socketPath = this.transport.path;
+        try {
+            if (!fs.statSync(socketPath).isSocket()) {
+                callback(null);
+                return;
+            }
+        } catch (err) {
+            // 文件不存在
+            callback(null);
+            return;
+        }
+
+        const probe = net.connect({ path: socketPath });
+        probe.once('connect', () => {
+            probe.destroy();
+            callback(new Error(`${socketPath} 已被其他进程使用`));
+        });
+        probe.once('error', (err) => {
+            if (err.code !== 'ECONNREFUSED') {
+                callback(new Error(`${socketPath} 无法确认是否已被其他进程使用: ${err.message}`));
+                return;
+            }
+            try {
+                fs.unlinkSync(socketPath);
+            } catch (unlinkErr) {
+                // 已被删除
+            }
+            callback(null);
+        });
+    }
+
+    onConnection(socket) {
+        // 取用前的连接出错时只需要关闭，取用后由 attach 的监听器报告
+        socket.on('error', () => {});
+        const remote = socket.remoteAddress ? `${socket.remoteAddress}:${socket.remotePort}` : this.path;
+        if (this.isOpen || this.pending) {
+            socket.destroy();
+            this.emit('rejected', remote);
+            return;
+        }
+        this.emit('connection', remote);
+        if (this.waiting) {
+            const waiting = this.waiting;
+            this.waiting = null;
+            this.accept(socket, waiting);
+            return;
+        }
+        this.pending = socket;
+        socket.once('close', () => {
+            if (this.pending === socket) {
+                this.pending = null;
+            }
+        });
+    }
+
+    accept(socket, callback) {
+        this.pending = null;
+        if (socket.destroyed) {
+            this.waiting = callback;
+            return;
+        }
+        if (socket.setNoDelay) {
+            socket.setNoDelay(true);
+        }
+        this.attach(socket);
+        callback(null);
+    }
+
+    close(callback) {
+        super.close();
+        this.waiting = null;
+        if (this.pending) {
+            this.pending.destroy();
+            this.pending = null;
+        }
+        if (!this.server) {
+            if (callback) {
+                process.nextTick(callback, null);
+            }
+            return;
+        }
+        const server = this.server;
+        this.server = null;
+        server.close(() => {
+            if (callback) {
+                callback(null);
+            }
+        });
+    }
+}
+
+// 标准输入输出：只能打开一次，标准输入结束后不能重新打开
+class StdioTransport extends StreamTransport {
+    constructor() {
+        super('stdio');
+        this.ended = false;
+    }
+
+    open(callback) {
+        if (this.ended) {
+            process.nextTick(callback, new Error('标准输入已结束'));
+            return;
+        }
+        this.attach(process.stdin, process.stdout);
+        process.nextTick(callback, null);
+    }
+
+    release(input) {
+        this.ended = this.ended || input.readableEnded || input.destroyed;
+        input.pause();
+    }
+}
+
+// 调用方提供的双工流：与标准输入输出一样只能打开一次，关闭时销毁流，对端随之看到链路断开
+class DuplexTransport extends StreamTransport {
+    constructor(stream) {
+        super('stream');
+        this.stream = stream;
+    }
+
+    open(callback) {
+        if (this.stream.destroyed || this.stream.readableEnded) {
+            process.nextTick(callback, new Error('流已结束'));
+            return;
+        }
+        this.attach(this.stream);
+        process.nextTick(callback, null);
+    }
+}
+
+// 创建传输对象；串口使用 serialOptions（path 和线路设置）
+function createTransport(transport, serialOptions) {
+    switch (transport.type) {
+        case 'serial':
+            return new SerialTransport(serialOptions);
+        case 'stdio':
+            return new StdioTransport();
+        case 'stream':
+            return new DuplexTransport(transport.stream);
+        default:
+            return transport.listen ? new ListenTransport(transport) : new ConnectTransport(transport);
+    }
+}
+
+module.exports = {
+    parseTransport,
+    describeTransport,
+    createTransport
+};
@@ -0,0 +1,15 @@
+const { SerialPort } = require('serialport');
+const { formatPortList } = require('./serial-locator');
+
+// 列出本机的串口及其USB标识，用于在配置中按 vendorId / productId / serialNumber 选择串口
+// 用法: node list-ports.js [--json]
+SerialPort.list().then((ports) => {
+    if (process.argv.includes('--json')) {
+        console.log(JSON.stringify(ports, null, 2));
+    } else {
+        console.log(formatPortList(ports));
+    }
+}).catch((err) => {
+    console.error('列出串口失败:', err.message);
+    process.exit(1);
+});
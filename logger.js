@@ -38,6 +38,7 @@ class Logger {
             verbose: options.verbose || false,
             timestamp: options.timestamp !== false, // 默认启用时间戳
             colorize: options.colorize !== false,   // 默认启用颜色
+            stderr: options.stderr || false,        // 输出到标准错误（标准输出被占用时，例如链路运行在标准输入输出上）
             logToFile: options.logToFile || false,
             logFile: options.logFile || 'tcp-bridge.log'
         };
@@ -80,12 +81,13 @@ class Logger {
     // 输出日志到控制台
     outputToConsole(level, message) {
         const levelName = LEVEL_NAMES[level];
+        const output = this.options.stderr ? console.error : console.log;
         
         if (this.options.colorize) {
             const colorCode = LEVEL_COLORS[levelName] || '';
-            console.log(colorCode + message + RESET_COLOR);
+            output(colorCode + message + RESET_COLOR);
         } else {
-            console.log(message);
+            output(message);
         }
     }
 
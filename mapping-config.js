@@ -0,0 +1,144 @@
+const net = require('net');
+const fs = require('fs');
+const { PROXY_NAMES } = require('./proxy-negotiator');
+const { isValidHost } = require('./codec');
+
+// 映射允许的字段，其他字段（通常是拼写错误）视为错误
+const KNOWN_FIELDS = [
+    'localPort', 'remoteHost', 'remotePort', 'description', 'priority',
+    'direction', 'protocol', 'proxy',
+    'bindAddress', 'enabled', 'maxConnections', 'idleTimeout'
+];
+
+const DIRECTIONS = ['forward', 'reverse'];
+// setTimeout 的最大延迟，超过时定时器立即触发；也保证超时可以写入 udp-open 的 4 字节字段
+const MAX_TIMEOUT = 2147483647;
+const PROTOCOLS = ['tcp', 'udp'];
+
+function checkPort(value, where, field) {
+    if (!Number.isInteger(value) || value < 1 || value > 65535) {
+        throw new Error(`${where}: ${field} 应为 1-65535 的整数，实际为 ${JSON.stringify(value)}`);
+    }
+}
+
+function checkPositiveInteger(value, where, field) {
+    if (value !== undefined && (!Number.isInteger(value) || value < 1 || value > MAX_TIMEOUT)) {
+        throw new Error(`${where}: ${field} 应为 1-${MAX_TIMEOUT} 的整数，实际为 ${JSON.stringify(value)}`);
+    }
+}
+
+function checkOneOf(value, allowed, where, field) {
+    if (value !== undefined && !allowed.includes(value)) {
+        throw new Error(`${where}: ${field} 应为 ${allowed.map(item => JSON.stringify(item)).join(' 或 ')}，实际为 ${JSON.stringify(value)}`);
+    }
+}
+
+// 检查一个映射，无效时抛出带有位置和字段的异常
+function validateMapping(mapping, where) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        throw new Error(`${where}: 应为对象`);
+    }
+
+    const unknown = Object.keys(mapping).filter(key => !KNOWN_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`${where}: 未知字段 ${unknown.map(key => JSON.stringify(key)).join(', ')}`);
+    }
+
+    checkPort(mapping.localPort, where, 'localPort');
+    checkOneOf(mapping.direction, DIRECTIONS, where, 'direction');
+    checkOneOf(mapping.protocol, PROTOCOLS, where, 'protocol');
+    checkOneOf(mapping.proxy, Object.keys(PROXY_NAMES), where, 'proxy');
+
+    if (mapping.proxy !== undefined) {
+        // 代理端口的目标由每个连接的请求决定
+        if (mapping.direction === 'reverse' || mapping.protocol === 'udp') {
+            throw new Error(`${where}: 代理端口不能是反向映射或UDP映射`);
+        }
+        if (mapping.remoteHost !== undefined || mapping.remotePort !== undefined) {
+            throw new Error(`${where}: 代理端口不能指定 remoteHost 和 remotePort`);
+        }
+    } else {
+        if (typeof mapping.remoteHost !== 'string' || !isValidHost(mapping.remoteHost)) {
+            throw new Error(`${where}: remoteHost 应为主机名或IP地址，实际为 ${JSON.stringify(mapping.remoteHost)}`);
+        }
+        checkPort(mapping.remotePort, where, 'remotePort');
+    }
+
+    if (mapping.direction === 'reverse' && mapping.protocol === 'udp') {
+        throw new Error(`${where}: 反向映射不支持UDP`);
+    }
+
+    if (mapping.description !== undefined && typeof mapping.description !== 'string') {
+        throw new Error(`${where}: description 应为字符串`);
+    }
+    if (mapping.priority !== undefined && (!Number.isInteger(mapping.priority) || mapping.priority < 1 || mapping.priority > 255)) {
+        throw new Error(`${where}: priority 应为 1-255 的整数，实际为 ${JSON.stringify(mapping.priority)}`);
+    }
+    if (mapping.bindAddress !== undefined && !(typeof mapping.bindAddress === 'string' && net.isIP(mapping.bindAddress))) {
+        throw new Error(`${where}: bindAddress 应为IP地址，实际为 ${JSON.stringify(mapping.bindAddress)}`);
+    }
+    if (mapping.enabled !== undefined && typeof mapping.enabled !== 'boolean') {
+        throw new Error(`${where}: enabled 应为 true 或 false`);
+    }
+    checkPositiveInteger(mapping.maxConnections, where, 'maxConnections');
+    checkPositiveInteger(mapping.idleTimeout, where, 'idleTimeout');
+}
+
+// 检查端口映射配置并按类型拆分；enabled 为 false 的映射也要检查，但不会生效
+function parsePortMappings(config) {
+    if (!config || typeof config !== 'object' || !Array.isArray(config.portMappings)) {
+        throw new Error('配置中缺少 portMappings 数组');
+    }
+
+    const result = { portMappings: [], udpMappings: [], reverseMappings: [], disabled: [] };
+    // 同一种监听（TCP、UDP、客户端侧的反向映射）的本地端口不能重复，即使绑定的地址不同
+    const used = new Map();
+
+    config.portMappings.forEach((mapping, index) => {
+        const where = `portMappings[${index}]`;
+        validateMapping(mapping, where);
+        // 日志中总是带上描述
+        if (mapping.description === undefined) {
+            mapping = { ...mapping, description: '未命名' };
+        }
+
+        if (mapping.enabled === false) {
+            result.disabled.push(mapping);
+            return;
+        }
+
+        const kind = mapping.direction === 'reverse' ? 'reverse' : mapping.protocol === 'udp' ? 'udp' : 'tcp';
+        const key = `${kind}/${mapping.localPort}`;
+        if (used.has(key)) {
+            throw new Error(`${where}: localPort ${mapping.localPort} 与 ${used.get(key)} 重复`);
+        }
+        used.set(key, where);
+
+        if (kind === 'reverse') {
+            result.reverseMappings.push(mapping);
+        } else if (kind === 'udp') {
+            result.udpMappings.push(mapping);
+        } else {
+            result.portMappings.push(mapping);
+        }
+    });
+    return result;
+}
+
+// 读取端口映射配置文件，文件不存在、JSON格式错误或映射无效时抛出异常
+function loadPortMappingFile(file) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`无法读取 ${file}: ${err.message}`);
+    }
+    return parsePortMappings(config);
+}
+
+module.exports = {
+    parsePortMappings,
+    loadPortMappingFile,
+    isValidHost,
+    MAX_TIMEOUT
+};
@@ -0,0 +1,287 @@
+const EventEmitter = require('events');
+const { isValidHost } = require('./codec');
+
+// 代理协议
+const PROXY_SOCKS5 = 'socks5';
+const PROXY_HTTP = 'http';     // HTTP CONNECT
+const PROXY_NAMES = {
+    [PROXY_SOCKS5]: 'SOCKS5',
+    [PROXY_HTTP]: 'HTTP CONNECT'
+};
+
+const SOCKS_VERSION = 0x05;
+const SOCKS_METHOD_NO_AUTH = 0x00;
+const SOCKS_METHOD_NONE_ACCEPTABLE = 0xFF;
+const SOCKS_CMD_CONNECT = 0x01;
+
+// SOCKS5 地址类型
+const SOCKS_ATYP_IPV4 = 0x01;
+const SOCKS_ATYP_DOMAIN = 0x03;
+const SOCKS_ATYP_IPV6 = 0x04;
+
+// SOCKS5 应答码
+const SOCKS_SUCCEEDED = 0x00;
+const SOCKS_GENERAL_FAILURE = 0x01;
+const SOCKS_COMMAND_NOT_SUPPORTED = 0x07;
+const SOCKS_ADDRESS_NOT_SUPPORTED = 0x08;
+
+// 连接失败的错误码（客户端侧的连接失败码或断开原因码）对应的 SOCKS5 应答码和 HTTP 状态
+const FAILURE_REPLIES = {
+    ENOTALLOWED: [0x02, '403 Forbidden'],
+    ENETUNREACH: [0x03, '502 Bad Gateway'],
+    EHOSTUNREACH: [0x04, '502 Bad Gateway'],
+    ENOTFOUND: [0x04, '502 Bad Gateway'],
+    EAI_AGAIN: [0x04, '502 Bad Gateway'],
+    ETIMEDOUT: [0x04, '504 Gateway Timeout'],
+    ECONNREFUSED: [0x05, '502 Bad Gateway'],
+    EAFNOSUPPORT: [SOCKS_ADDRESS_NOT_SUPPORTED, '502 Bad Gateway'],
+    EINVAL: [SOCKS_ADDRESS_NOT_SUPPORTED, '400 Bad Request'],
+    ELINKDOWN: [SOCKS_GENERAL_FAILURE, '503 Service Unavailable']
+};
+const DEFAULT_FAILURE = [SOCKS_GENERAL_FAILURE, '502 Bad Gateway'];
+
+// HTTP 请求头的最大长度
+const MAX_HTTP_HEADER = 8192;
+
+// 数据包中域名的最大长度（UTF-8 字节数）
+const MAX_HOST_BYTES = 255;
+
+// 默认等待代理请求的时间，超时后关闭连接
+const DEFAULT_REQUEST_TIMEOUT = 10000;
+
+// 目标主机能否原样编码进数据包：有效的主机名或IP地址，并且不超过地址字段的长度
+function isAcceptableHost(host) {
+    return isValidHost(host) && Buffer.byteLength(host, 'utf8') <= MAX_HOST_BYTES;
+}
+
+function formatIPv6(bytes) {
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) {
+        groups.push(bytes.readUInt16BE(i).toString(16));
+    }
+    return groups.join(':');
+}
+
+// 解析 HTTP CONNECT 的目标 host:port（IPv6 地址带方括号）
+function parseAuthority(authority) {
+    const match = /^\[([0-9a-fA-F:.]+)\]:(\d+)$/.exec(authority) || /^([^:\[\]]+):(\d+)$/.exec(authority);
+    if (!match) {
+        return null;
+    }
+    const port = parseInt(match[2]);
+    if (port < 1 || port > 65535 || !isAcceptableHost(match[1])) {
+        return null;
+    }
+    return { host: match[1], port };
+}
+
+// 代理端口上每个连接的请求阶段：完成 SOCKS5（无认证）或 HTTP CONNECT 的协商，得到本次连接要访问的目标
+// 请求解析完成后暂停套接字并触发 'request'，之后的数据（包括随请求一起到达的数据）留给隧道会话读取；
+// 目标连接的结果由调用方通过 succeed() / fail(code) 应答给代理客户端
+class ProxyNegotiator extends EventEmitter {
+    constructor(socket, options = {}) {
+        super();
+        this.socket = socket;
+        this.protocol = options.protocol || PROXY_SOCKS5;
+        this.requestTimeout = options.requestTimeout || DEFAULT_REQUEST_TIMEOUT;
+
+        this.stage = 'idle';   // idle | greeting | request | pending | done
+        this.buffer = Buffer.alloc(0);
+        this.timer = null;
+        this.onData = (chunk) => this.receive(chunk);
+    }
+
+    start() {
+        this.stage = this.protocol === PROXY_SOCKS5 ? 'greeting' : 'request';
+        this.socket.on('data', this.onData);
+        this.socket.once('close', () => clearTimeout(this.timer));
+        this.timer = setTimeout(() => {
+            this.reject('等待代理请求超时');
+        }, this.requestTimeout);
+    }
+
+    receive(chunk) {
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+        if (this.protocol === PROXY_SOCKS5) {
+            this.receiveSocks();
+        } else {
+            this.receiveHttp();
+        }
+    }
+
+    receiveSocks() {
+        const buffer = this.buffer;
+
+        if (this.stage === 'greeting') {
+            // 版本(1) + 方法数(1) + 方法列表
+            if (buffer.length < 2) {
+                return;
+            }
+            if (buffer[0] !== SOCKS_VERSION) {
+                this.reject(`不是SOCKS5请求 (版本 ${buffer[0]})`);
+                return;
+            }
+            const length = 2 + buffer[1];
+            if (buffer.length < length) {
+                return;
+            }
+            if (!buffer.subarray(2, length).includes(SOCKS_METHOD_NO_AUTH)) {
+                this.reject('代理客户端不支持无认证方式', Buffer.from([SOCKS_VERSION, SOCKS_METHOD_NONE_ACCEPTABLE]));
+                return;
+            }
+            this.socket.write(Buffer.from([SOCKS_VERSION, SOCKS_METHOD_NO_AUTH]));
+            this.buffer = buffer.subarray(length);
+            this.stage = 'request';
+            this.receiveSocks();
+            return;
+        }
+
+        if (this.stage !== 'request') {
+            return;
+        }
+
+        // 版本(1) + 命令(1) + 保留(1) + 地址类型(1) + 地址 + 端口(2)
+        if (buffer.length < 5) {
+            return;
+        }
+        if (buffer[0] !== SOCKS_VERSION) {
+            this.reject(`不是SOCKS5请求 (版本 ${buffer[0]})`);
+            return;
+        }
+
+        const atyp = buffer[3];
+        let addrLength;
+        if (atyp === SOCKS_ATYP_IPV4) {
+            addrLength = 4;
+        } else if (atyp === SOCKS_ATYP_IPV6) {
+            addrLength = 16;
+        } else if (atyp === SOCKS_ATYP_DOMAIN) {
+            addrLength = 1 + buffer[4];
+        } else {
+            this.reject(`不支持的地址类型: ${atyp}`, this.socksReply(SOCKS_ADDRESS_NOT_SUPPORTED));
+            return;
+        }
+
+        const length = 4 + addrLength + 2;
+        if (buffer.length < length) {
+            return;
+        }
+
+        if (buffer[1] !== SOCKS_CMD_CONNECT) {
+            this.reject(`不支持的命令: ${buffer[1]}`, this.socksReply(SOCKS_COMMAND_NOT_SUPPORTED));
+            return;
+        }
+
+        const addr = buffer.subarray(4, 4 + addrLength);
+        let host;
+        if (atyp === SOCKS_ATYP_IPV4) {
+            host = Array.from(addr).join('.');
+        } else if (atyp === SOCKS_ATYP_IPV6) {
+            host = formatIPv6(addr);
+        } else {
+            host = addr.subarray(1).toString('utf8');
+        }
+        const port = buffer.readUInt16BE(4 + addrLength);
+        if (host.length === 0 || port === 0) {
+            this.reject(`无效的目标: ${host}:${port}`, this.socksReply(SOCKS_GENERAL_FAILURE));
+            return;
+        }
+        if (!isAcceptableHost(host)) {
+            this.reject(`无效的目标主机: ${JSON.stringify(host)}`, this.socksReply(SOCKS_ADDRESS_NOT_SUPPORTED));
+            return;
+        }
+
+        this.accept(host, port, buffer.subarray(length));
+    }
+
+    receiveHttp() {
+        const end = this.buffer.indexOf('\r\n\r\n');
+        if (end === -1) {
+            if (this.buffer.length > MAX_HTTP_HEADER) {
+                this.reject('HTTP请求头过长', this.httpReply('431 Request Header Fields Too Large'));
+            }
+            return;
+        }
+
+        const requestLine = this.buffer.subarray(0, end).toString('latin1').split('\r\n')[0];
+        const [method, authority] = requestLine.split(' ');
+        if (method !== 'CONNECT') {
+            this.reject(`不支持的HTTP方法: ${method}`, this.httpReply('405 Method Not Allowed', 'Allow: CONNECT\r\n'));
+            return;
+        }
+
+        const target = parseAuthority(authority || '');
+        if (!target) {
+            this.reject(`无效的目标: ${authority}`, this.httpReply('400 Bad Request'));
+            return;
+        }
+
+        this.accept(target.host, target.port, this.buffer.subarray(end + 4));
+    }
+
+    // 请求已解析：停止读取，把多读到的数据放回套接字
+    accept(host, port, rest) {
+        clearTimeout(this.timer);
+        this.stage = 'pending';
+        this.buffer = Buffer.alloc(0);
+        this.socket.removeListener('data', this.onData);
+        this.socket.pause();
+        if (rest.length > 0) {
+            this.socket.unshift(rest);
+        }
+        this.emit('request', { host, port });
+    }
+
+    // 请求无效：应答（如有）后关闭连接
+    reject(reason, reply = null) {
+        clearTimeout(this.timer);
+        this.stage = 'done';
+        this.socket.removeListener('data', this.onData);
+        if (reply) {
+            this.socket.end(reply);
+        } else {
+            this.socket.destroy();
+        }
+        this.emit('invalid', reason);
+    }
+
+    // 目标连接已建立
+    succeed() {
+        if (this.stage !== 'pending') {
+            return;
+        }
+        this.stage = 'done';
+        this.socket.write(this.protocol === PROXY_SOCKS5
+            ? this.socksReply(SOCKS_SUCCEEDED)
+            : this.httpReply('200 Connection Established'));
+    }
+
+    // 目标连接失败：按错误码应答后关闭连接
+    fail(code) {
+        if (this.stage !== 'pending') {
+            this.socket.destroy();
+            return;
+        }
+        this.stage = 'done';
+        const [socksCode, httpStatus] = FAILURE_REPLIES[code] || DEFAULT_FAILURE;
+        this.socket.end(this.protocol === PROXY_SOCKS5
+            ? this.socksReply(socksCode)
+            : this.httpReply(httpStatus, 'Content-Length: 0\r\nConnection: close\r\n'));
+    }
+
+    // 应答中的绑定地址没有意义，固定为 0.0.0.0:0
+    socksReply(code) {
+        return Buffer.from([SOCKS_VERSION, code, 0x00, SOCKS_ATYP_IPV4, 0, 0, 0, 0, 0, 0]);
+    }
+
+    httpReply(status, headers = '') {
+        return Buffer.from(`HTTP/1.1 ${status}\r\n${headers}\r\n`, 'latin1');
+    }
+}
+
+module.exports = {
+    ProxyNegotiator,
+    PROXY_SOCKS5,
+    PROXY_HTTP,
+    PROXY_NAMES
+};
@@ -0,0 +1,399 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+// 链路层类型（帧负载的第一个字节）
+const LINK_RAW = 0x00;      // 不可靠模式：类型(1) + 数据包
+const LINK_DATA = 0x01;     // 可靠模式：类型(1) + 序号(4) + 数据包
+const LINK_ACK = 0x02;      // 累计确认：类型(1) + 期望的下一个序号(4)
+const LINK_SYNC = 0x03;     // 同步：类型(1) + 实例ID(4) + 起始序号(4)
+const LINK_SYNC_ACK = 0x04; // 同步确认：类型(1) + 实例ID(4) + 对端实例ID(4)
+
+// 序号比较（支持32位回绕）：a 是否在 b 之前
+function seqBefore(a, b) {
+    return ((a - b) | 0) < 0;
+}
+
+// 可靠传输层：位于数据包编解码和串口之间，提供有序、无丢失的数据包传输
+// 发送方向的可靠模式可以开关，接收方向总是能处理两种模式
+class ReliableLink extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = {
+            reliable: options.reliable || false,
+            windowSize: options.windowSize || 32,                  // 滑动窗口大小（帧数）
+            retransmitTimeout: options.retransmitTimeout || 1000,  // 初始重传超时
+            minRetransmitTimeout: options.minRetransmitTimeout || 200,
+            maxRetransmitTimeout: options.maxRetransmitTimeout || 30000,
+            ackDelay: options.ackDelay !== undefined ? options.ackDelay : 10 // 延迟确认，合并多个ACK
+        };
+
+        // 输出函数 (payload, callback)，由调用方设置为写入串口
+        this.output = options.output || null;
+
+        // 每次启动生成新的实例ID，用于识别对端重启
+        this.instanceId = crypto.randomBytes(4).readUInt32BE(0);
+
+        // 发送方向状态
+        this.nextSeq = 0;
+        this.unacked = [];   // 已发送未确认: { seq, packet, sentAt, retransmitted }
+        this.pending = [];   // 等待窗口: packet
+        this.synced = false; // 我方SYNC是否已被对端确认
+        this.rto = this.options.retransmitTimeout;
+        this.srtt = null;
+        this.rttvar = null;
+        this.retransmitTimer = null;
+        this.lastFastRetransmit = null;
+        this.outputBlocked = false; // 输出（串口）写缓冲已满，等待排空
+        this.needDrain = false;     // send() 曾返回 false，排空后需要触发 'drain'
+
+        // 接收方向状态
+        this.peerInstanceId = null;
+        this.expectedSeq = null;
+        this.ackTimer = null;
+        this.lastOutOfOrderAck = null;
+
+        this.stats = {
+            sent: 0,
+            retransmitted: 0,
+            received: 0,
+            duplicates: 0,
+            outOfOrder: 0
+        };
+    }
+
+    // 链路打开后调用：发送SYNC告知对端我方实例和起始序号
+    start() {
+        this.synced = false;
+        this.sendSync();
+        this.armRetransmitTimer();
+    }
+
+    // 停止所有定时器
+    stop() {
+        clearTimeout(this.retransmitTimer);
+        clearTimeout(this.ackTimer);
+        this.retransmitTimer = null;
+        this.ackTimer = null;
+    }
+
+    // 发送数据包；返回 false 表示缓冲已满，调用方应暂停数据源直到 'drain' 事件
+    send(packet, callback) {
+        if (!this.options.reliable) {
+            const ok = this.output(Buffer.concat([Buffer.from([LINK_RAW]), packet]), callback) !== false;
+            if (!ok) {
+                this.outputBlocked = true;
+                this.needDrain = true;
+            }
+            return ok;
+        }
+
+        // 可靠模式下数据包进入队列后即视为提交成功，丢失由重传处理
+        this.pending.push(packet);
+        this.flush();
+        if (callback) {
+            setImmediate(callback);
+        }
+
+        const ok = this.pending.length < this.options.windowSize;
+        if (!ok) {
+            this.needDrain = true;
+        }
+        return ok;
+    }
+
+    // 尚未交给输出的数据包数（可靠模式下等待同步或窗口）
+    pendingCount() {
+        return this.pending.length;
+    }
+
+    // 输出（串口）写缓冲已排空时由调用方通知
+    onOutputDrain() {
+        this.outputBlocked = false;
+        this.flush();
+        this.checkDrain();
+    }
+
+    checkDrain() {
+        const drained = this.options.reliable ? this.pending.length < this.options.windowSize : !this.outputBlocked;
+        if (this.needDrain && drained) {
+            this.needDrain = false;
+            this.emit('drain');
+        }
+    }
+
+    // 在窗口允许的范围内发送排队的数据包
+    flush() {
+        while (this.synced && !this.outputBlocked && this.pending.length > 0 && this.unacked.length < this.options.windowSize) {
+            const entry = {
+                seq: this.nextSeq,
+                packet: this.pending.shift(),
+                sentAt: Date.now(),
+                retransmitted: false
+            };
+            this.nextSeq = (this.nextSeq + 1) >>> 0;
+            this.unacked.push(entry);
+            if (!this.transmit(entry)) {
+                this.outputBlocked = true;
+            }
+            this.stats.sent++;
+        }
+        this.armRetransmitTimer();
+        this.checkDrain();
+    }
+
+    transmit(entry) {
+        const header = Buffer.alloc(5);
+        header.writeUInt8(LINK_DATA, 0);
+        header.writeUInt32BE(entry.seq, 1);
+        // 写入失败（例如串口暂时关闭）的帧由重传定时器处理
+        return this.output(Buffer.concat([header, entry.packet]), () => {}) !== false;
+    }
+
+    sendSync() {
+        const payload = Buffer.alloc(9);
+        payload.writeUInt8(LINK_SYNC, 0);
+        payload.writeUInt32BE(this.instanceId, 1);
+        payload.writeUInt32BE(this.unacked.length > 0 ? this.unacked[0].seq : this.nextSeq, 5);
+        this.output(payload);
+    }
+
+    sendAck() {
+        clearTimeout(this.ackTimer);
+        this.ackTimer = null;
+        if (this.expectedSeq === null) {
+            return;
+        }
+        const payload = Buffer.alloc(5);
+        payload.writeUInt8(LINK_ACK, 0);
+        payload.writeUInt32BE(this.expectedSeq, 1);
+        this.output(payload);
+    }
+
+    scheduleAck() {
+        if (this.ackTimer) {
+            return;
+        }
+        this.ackTimer = setTimeout(() => this.sendAck(), this.options.ackDelay);
+    }
+
+    armRetransmitTimer() {
+        const outstanding = !this.synced || this.unacked.length > 0;
+        if (!outstanding) {
+            clearTimeout(this.retransmitTimer);
+            this.retransmitTimer = null;
+            return;
+        }
+        if (!this.retransmitTimer) {
+            this.retransmitTimer = setTimeout(() => this.onRetransmitTimeout(), this.rto);
+        }
+    }
+
+    onRetransmitTimeout() {
+        this.retransmitTimer = null;
+        // 指数退避
+        this.rto = Math.min(this.rto * 2, this.options.maxRetransmitTimeout);
+
+        if (!this.synced) {
+            this.sendSync();
+        } else {
+            this.retransmitAll();
+        }
+        this.armRetransmitTimer();
+    }
+
+    // 回退N帧：重传所有未确认的帧
+    retransmitAll() {
+        this.unacked.forEach(entry => {
+            entry.retransmitted = true;
+            this.transmit(entry);
+            this.stats.retransmitted++;
+        });
+        if (this.unacked.length > 0) {
+            this.emit('retransmit', { count: this.unacked.length, rto: this.rto });
+        }
+    }
+
+    // 根据往返时间更新重传超时（RFC 6298）
+    updateRto(sample) {
+        if (this.srtt === null) {
+            this.srtt = sample;
+            this.rttvar = sample / 2;
+        } else {
+            this.rttvar = 0.75 * this.rttvar + 0.25 * Math.abs(this.srtt - sample);
+            this.srtt = 0.875 * this.srtt + 0.125 * sample;
+        }
+        this.rto = this.computeRto();
+    }
+
+    computeRto() {
+        return Math.min(
+            Math.max(this.srtt + 4 * this.rttvar, this.options.minRetransmitTimeout),
+            this.options.maxRetransmitTimeout
+        );
+    }
+
+    handleAck(ack) {
+        let acked = null;
+        while (this.unacked.length > 0 && seqBefore(this.unacked[0].seq, ack)) {
+            acked = this.unacked.shift();
+        }
+
+        if (acked) {
+            // Karn算法：不使用重传过的帧计算往返时间
+            if (!acked.retransmitted) {
+                this.updateRto(Date.now() - acked.sentAt);
+            } else {
+                // 链路已恢复，撤销指数退避
+                this.rto = this.srtt === null ? this.options.retransmitTimeout : this.computeRto();
+            }
+            clearTimeout(this.retransmitTimer);
+            this.retransmitTimer = null;
+            this.lastFastRetransmit = null;
+            this.flush();
+        } else if (this.unacked.length > 0 && ack === this.unacked[0].seq && this.lastFastRetransmit !== ack) {
+            // 重复确认说明对端收到了乱序帧，串口链路不会乱序，因此立即重传
+            this.lastFastRetransmit = ack;
+            this.retransmitAll();
+        }
+    }
+
+    // 处理对端的SYNC
+    handleSync(peerInstanceId, seq) {
+        if (peerInstanceId !== this.peerInstanceId) {
+            const restarted = this.peerInstanceId !== null;
+            this.peerInstanceId = peerInstanceId;
+            this.expectedSeq = seq;
+            this.lastOutOfOrderAck = null;
+
+            if (restarted) {
+                // 对端已重启：之前未确认的数据对新的对端没有意义，丢弃并重新同步发送方向
+                this.unacked = [];
+                this.pending = [];
+                this.synced = false;
+                this.emit('peer-restart', peerInstanceId);
+                this.checkDrain();
+            }
+            if (!this.synced) {
+                // 对端刚刚上线，立即重发SYNC而不是等待退避后的重传定时器
+                clearTimeout(this.retransmitTimer);
+                this.retransmitTimer = null;
+                this.rto = this.options.retransmitTimeout;
+                this.sendSync();
+                this.armRetransmitTimer();
+            }
+        }
+
+        const payload = Buffer.alloc(9);
+        payload.writeUInt8(LINK_SYNC_ACK, 0);
+        payload.writeUInt32BE(this.instanceId, 1);
+        payload.writeUInt32BE(peerInstanceId, 5);
+        this.output(payload);
+    }
+
+    handleSyncAck(instanceId) {
+        if (instanceId !== this.instanceId || this.synced) {
+            return;
+        }
+        this.synced = true;
+        this.rto = this.options.retransmitTimeout;
+        clearTimeout(this.retransmitTimer);
+        this.retransmitTimer = null;
+        this.emit('synced');
+        // 链路中断后重新同步时立即重传未确认的帧，不必等待退避后的重传定时器
+        this.retransmitAll();
+        this.flush();
+    }
+
+    handleData(seq, packet) {
+        if (this.expectedSeq === null) {
+            // 尚未收到对端的SYNC，丢弃；对端会重传
+            return;
+        }
+
+        if (seq === this.expectedSeq) {
+            this.expectedSeq = (this.expectedSeq + 1) >>> 0;
+            this.lastOutOfOrderAck = null;
+            this.stats.received++;
+            this.scheduleAck();
+            this.emit('packet', packet);
+        } else if (seqBefore(seq, this.expectedSeq)) {
+            // 重复帧：重新确认，避免对端继续重传
+            this.stats.duplicates++;
+            this.scheduleAck();
+        } else {
+            // 乱序帧（前面的帧丢失）：丢弃并立即发送一次重复确认
+            this.stats.outOfOrder++;
+            if (this.lastOutOfOrderAck !== this.expectedSeq) {
+                this.lastOutOfOrderAck = this.expectedSeq;
+                this.sendAck();
+            }
+        }
+    }
+
+    // 处理从串口收到的帧负载
+    receive(payload) {
+        if (payload.length < 1) {
+            return;
+        }
+
+        const type = payload.readUInt8(0);
+        switch (type) {
+            case LINK_RAW:
+                this.emit('packet', payload.subarray(1));
+                break;
+
+            case LINK_DATA:
+                if (payload.length >= 5) {
+                    this.handleData(payload.readUInt32BE(1), payload.subarray(5));
+                }
+                break;
+
+            case LINK_ACK:
+                if (payload.length >= 5) {
+                    this.handleAck(payload.readUInt32BE(1));
+                }
+                break;
+
+            case LINK_SYNC:
+                if (payload.length >= 9) {
+                    this.handleSync(payload.readUInt32BE(1), payload.readUInt32BE(5));
+                }
+                break;
+
+            case LINK_SYNC_ACK:
+                if (payload.length >= 9) {
+                    this.handleSyncAck(payload.readUInt32BE(5));
+                }
+                break;
+
+            default:
+                this.emit('warning', `未知链路帧类型: ${type}`);
+                break;
+        }
+    }
+
+    // 等待所有排队和未确认的数据被对端确认（或超时）
+    waitForDelivery(timeout = 3000) {
+        return new Promise((resolve) => {
+            const deadline = Date.now() + timeout;
+            const check = () => {
+                const idle = this.pending.length === 0 && this.unacked.length === 0;
+                if (!this.options.reliable || idle || Date.now() >= deadline) {
+                    resolve(idle);
+                } else {
+                    setTimeout(check, 50);
+                }
+            };
+            check();
+        });
+    }
+}
+
+module.exports = {
+    ReliableLink,
+    LINK_RAW,
+    LINK_DATA,
+    LINK_ACK,
+    LINK_SYNC,
+    LINK_SYNC_ACK
+};
@@ -0,0 +1,164 @@
+const EventEmitter = require('events');
+
+// 默认分片大小：115200 波特率下约 90ms，保证交互式连接的延迟
+const DEFAULT_FRAGMENT_SIZE = 1024;
+// 所有连接排队数据的上限，超过后 enqueueData 返回 false
+const DEFAULT_HIGH_WATER_MARK = 256 * 1024;
+
+// 串口前的出站调度器：
+// - 把大块数据切成有界的分片，避免一个大帧长时间占用串口
+// - 在有排队数据的连接之间按加权差额轮询（DRR）调度，权重来自映射的 priority
+// - 只在串口（链路层）可以接收时才取出下一个分片，使排队发生在调度器中而不是串口缓冲里
+class Scheduler extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.fragmentSize = options.fragmentSize || DEFAULT_FRAGMENT_SIZE;
+        this.highWaterMark = options.highWaterMark || DEFAULT_HIGH_WATER_MARK;
+        this.canSend = options.canSend || (() => true); // 链路是否可以接收下一个数据包
+        this.send = options.send || null;               // (packet) => void
+
+        this.flows = new Map(); // clientId -> { queue, deficit, weight, inTurn }
+        this.active = [];       // 有排队数据的连接，按轮询顺序排列
+        this.queuedBytes = 0;
+        this.needDrain = false;
+        this.pumping = false;
+    }
+
+    getFlow(clientId, weight) {
+        let flow = this.flows.get(clientId);
+        if (!flow) {
+            flow = { clientId, queue: [], deficit: 0, weight: 1, inTurn: false };
+            this.flows.set(clientId, flow);
+        }
+        if (weight > 0) {
+            flow.weight = Math.max(1, Math.floor(weight));
+        }
+        return flow;
+    }
+
+    push(flow, item) {
+        flow.queue.push(item);
+        this.queuedBytes += item.size;
+        if (flow.queue.length === 1) {
+            this.active.push(flow);
+        }
+    }
+
+    // 排队一块数据；makePacket(fragment) 为每个分片创建数据包
+    // 返回 false 表示排队数据过多，调用方应暂停数据源直到 'drain' 事件
+    enqueueData(clientId, data, makePacket, weight) {
+        const flow = this.getFlow(clientId, weight);
+        for (let offset = 0; offset < data.length; offset += this.fragmentSize) {
+            const fragment = data.subarray(offset, offset + this.fragmentSize);
+            this.push(flow, { size: fragment.length, make: () => makePacket(fragment) });
+        }
+        this.pump();
+
+        const ok = this.queuedBytes < this.highWaterMark;
+        if (!ok) {
+            this.needDrain = true;
+        }
+        return ok;
+    }
+
+    // 排队一个需要与该连接数据保持顺序的控制包（例如断开连接），或一个不能分片的数据报
+    enqueuePacket(clientId, packet, weight) {
+        const flow = this.getFlow(clientId, weight);
+        this.push(flow, { size: packet.length, make: () => packet });
+        this.pump();
+    }
+
+    // 排队数据是否已达上限；数据报在此时直接丢弃，而不是无限排队
+    isFull() {
+        return this.queuedBytes >= this.highWaterMark;
+    }
+
+    // 丢弃连接尚未发送的数据（对端已关闭该连接）
+    discard(clientId) {
+        const flow = this.flows.get(clientId);
+        if (!flow) {
+            return 0;
+        }
+        const dropped = flow.queue.reduce((sum, item) => sum + item.size, 0);
+        this.queuedBytes -= dropped;
+        this.flows.delete(clientId);
+        this.active = this.active.filter(f => f !== flow);
+        this.checkDrain();
+        return dropped;
+    }
+
+    // 按加权差额轮询选出下一个数据包
+    next() {
+        while (this.active.length > 0) {
+            const flow = this.active[0];
+            if (!flow.inTurn) {
+                flow.deficit += this.fragmentSize * flow.weight;
+                flow.inTurn = true;
+            }
+
+            const item = flow.queue[0];
+            if (item.size <= flow.deficit) {
+                flow.deficit -= item.size;
+                flow.queue.shift();
+                this.queuedBytes -= item.size;
+                if (flow.queue.length === 0) {
+                    // 连接暂时没有数据，退出轮询并清零差额
+                    flow.deficit = 0;
+                    flow.inTurn = false;
+                    this.active.shift();
+                    this.flows.delete(flow.clientId);
+                }
+                return item.make();
+            }
+
+            // 本轮配额用完，轮到下一个连接
+            flow.inTurn = false;
+            this.active.push(this.active.shift());
+        }
+        return null;
+    }
+
+    // 在链路可以接收时发送排队的数据包；链路写完一个帧或排空时由调用方再次调用
+    pump() {
+        if (this.pumping) {
+            return;
+        }
+        this.pumping = true;
+        try {
+            while (this.active.length > 0 && this.canSend()) {
+                this.send(this.next());
+            }
+        } finally {
+            this.pumping = false;
+        }
+        this.checkDrain();
+    }
+
+    // 等待排队的数据包全部交给链路（或超时），返回是否已全部交出
+    waitForIdle(timeout = 3000) {
+        return new Promise((resolve) => {
+            const deadline = Date.now() + timeout;
+            const check = () => {
+                const idle = this.active.length === 0;
+                if (idle || Date.now() >= deadline) {
+                    resolve(idle);
+                } else {
+                    setTimeout(check, 50);
+                }
+            };
+            check();
+        });
+    }
+
+    checkDrain() {
+        if (this.needDrain && this.queuedBytes < this.highWaterMark / 2) {
+            this.needDrain = false;
+            this.emit('drain');
+        }
+    }
+}
+
+module.exports = {
+    Scheduler,
+    DEFAULT_FRAGMENT_SIZE
+};
@@ -0,0 +1,258 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+
+// 加密层帧类型（帧负载的第一个字节），与链路层类型(0x00-0x04)不重叠
+const SEC_HELLO = 0x10; // 握手：发送方盐值(16) + 回显的对端盐值(16，首次为全零) + HMAC(16)
+const SEC_DATA = 0x11;  // 加密数据：计数器(8) + 密文 + 认证标签(16)
+
+const SALT_LENGTH = 16;
+const MAC_LENGTH = 16;
+const TAG_LENGTH = 16;
+const HELLO_LENGTH = 1 + SALT_LENGTH * 2 + MAC_LENGTH;
+const DATA_HEADER_LENGTH = 1 + 8;
+const ZERO_SALT = Buffer.alloc(SALT_LENGTH);
+
+const CIPHER = 'aes-256-gcm';
+
+// 读取预共享密钥文件，去掉末尾的空白（编辑器常会加上换行）后以SHA-256派生主密钥
+function loadPreSharedKey(file) {
+    const content = fs.readFileSync(file);
+    let end = content.length;
+    while (end > 0 && /\s/.test(String.fromCharCode(content[end - 1]))) {
+        end--;
+    }
+    if (end < 16) {
+        throw new Error(`预共享密钥过短（至少16字节）: ${file}`);
+    }
+    return crypto.createHash('sha256').update(content.subarray(0, end)).digest();
+}
+
+// 使用预共享密钥的认证加密层，位于帧层和可靠传输层之间：
+// - 串口打开时双方交换随机盐值（以HMAC证明持有密钥），每个方向的会话密钥由 PSK 和双方盐值派生
+// - 每帧使用 AES-256-GCM 加密，随机数为单调递增的计数器，整个进程内不会重复
+// - 认证失败、计数器回退（重放）或未加密的帧一律丢弃
+// 未配置密钥时所有数据原样通过
+class SecureChannel extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.psk = options.psk || null;
+        this.retryInterval = options.retryInterval || 1000;
+        this.output = options.output || null; // (payload, callback) => boolean
+
+        this.mySalt = null;
+        this.peerSalt = null;
+        this.txKey = null;
+        this.rxKey = null;
+        this.txCounter = 0;  // 发送计数器，重新握手时也不归零，避免同一密钥下随机数重复
+        this.rxCounter = -1; // 已接受的最大计数器
+        this.established = false;
+        this.handshaking = false;
+        this.retryTimer = null;
+        this.queue = [];     // 握手完成前等待发送的负载: { payload, callback }
+
+        this.stats = {
+            authFailures: 0, // 认证失败或重放的帧数
+            plaintextFrames: 0 // 收到的未加密帧数
+        };
+    }
+
+    isEnabled() {
+        return this.psk !== null;
+    }
+
+    // 是否可以发送数据（未启用加密时始终可以）
+    isEstablished() {
+        return !this.isEnabled() || this.established;
+    }
+
+    // 链路打开后调用：发送首次握手并在完成前定期重发
+    start() {
+        if (!this.isEnabled()) {
+            return;
+        }
+        this.established = false;
+        this.handshaking = true;
+        this.mySalt = crypto.randomBytes(SALT_LENGTH);
+        this.sendHello(ZERO_SALT);
+        this.armRetryTimer();
+    }
+
+    stop() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+    }
+
+    armRetryTimer() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => {
+            if (this.handshaking) {
+                this.sendHello(ZERO_SALT);
+                this.armRetryTimer();
+            }
+        }, this.retryInterval);
+    }
+
+    mac(data) {
+        return crypto.createHmac('sha256', this.psk).update(data).digest().subarray(0, MAC_LENGTH);
+    }
+
+    deriveKey(senderSalt, receiverSalt) {
+        return crypto.createHmac('sha256', this.psk)
+            .update('tcp-uart-bridge key')
+            .update(senderSalt)
+            .update(receiverSalt)
+            .digest();
+    }
+
+    sendHello(echoSalt) {
+        const hello = Buffer.alloc(HELLO_LENGTH);
+        hello.writeUInt8(SEC_HELLO, 0);
+        this.mySalt.copy(hello, 1);
+        echoSalt.copy(hello, 1 + SALT_LENGTH);
+        this.mac(hello.subarray(0, 1 + SALT_LENGTH * 2)).copy(hello, 1 + SALT_LENGTH * 2);
+        this.output(hello, () => {});
+    }
+
+    handleHello(hello) {
+        if (hello.length !== HELLO_LENGTH) {
+            this.emit('warning', `握手帧长度错误: ${hello.length}`);
+            return;
+        }
+        const signed = hello.subarray(0, 1 + SALT_LENGTH * 2);
+        const mac = hello.subarray(1 + SALT_LENGTH * 2);
+        if (!crypto.timingSafeEqual(mac, this.mac(signed))) {
+            this.stats.authFailures++;
+            this.emit('warning', '握手认证失败，对端的预共享密钥不一致？');
+            return;
+        }
+
+        const peerSalt = Buffer.from(hello.subarray(1, 1 + SALT_LENGTH));
+        const echoSalt = hello.subarray(1 + SALT_LENGTH, 1 + SALT_LENGTH * 2);
+
+        if (echoSalt.equals(ZERO_SALT)) {
+            // 对端发起的握手：已建立会话时（对端重启或重放）换一个新盐值，保证派生出新的会话密钥
+            if (!this.handshaking) {
+                this.mySalt = crypto.randomBytes(SALT_LENGTH);
+            }
+            this.setKeys(peerSalt);
+            this.sendHello(peerSalt);
+        } else if (echoSalt.equals(this.mySalt)) {
+            // 同时发起握手时会收到与当前会话相同的应答，无需重新派生
+            if (this.established && this.peerSalt.equals(peerSalt)) {
+                return;
+            }
+            this.setKeys(peerSalt);
+        }
+        // 回显的不是当前盐值：过期的应答，忽略
+    }
+
+    setKeys(peerSalt) {
+        const rekey = this.established;
+        this.peerSalt = peerSalt;
+        this.txKey = this.deriveKey(this.mySalt, peerSalt);
+        this.rxKey = this.deriveKey(peerSalt, this.mySalt);
+        this.rxCounter = -1;
+        this.established = true;
+        this.handshaking = false;
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        this.emit('established', { rekey });
+
+        const queued = this.queue;
+        this.queue = [];
+        queued.forEach(({ payload, callback }) => this.send(payload, callback));
+    }
+
+    // 发送链路层负载；返回值含义与 output 相同
+    send(payload, callback) {
+        if (!this.isEnabled()) {
+            return this.output(payload, callback);
+        }
+        if (!this.established) {
+            this.queue.push({ payload, callback });
+            return true;
+        }
+
+        const header = Buffer.alloc(DATA_HEADER_LENGTH);
+        header.writeUInt8(SEC_DATA, 0);
+        header.writeBigUInt64BE(BigInt(this.txCounter), 1);
+        this.txCounter++;
+
+        const cipher = crypto.createCipheriv(CIPHER, this.txKey, this.nonce(header));
+        cipher.setAAD(header);
+        const ciphertext = Buffer.concat([cipher.update(payload), cipher.final()]);
+        return this.output(Buffer.concat([header, ciphertext, cipher.getAuthTag()]), callback);
+    }
+
+    // 随机数：4字节零 + 8字节计数器（两个方向使用不同的密钥）
+    nonce(header) {
+        const nonce = Buffer.alloc(12);
+        header.copy(nonce, 4, 1, DATA_HEADER_LENGTH);
+        return nonce;
+    }
+
+    // 处理收到的帧负载，解密成功时触发 'payload' 事件
+    receive(frame) {
+        if (!this.isEnabled()) {
+            this.emit('payload', frame);
+            return;
+        }
+        if (frame.length === 0) {
+            return;
+        }
+
+        const type = frame.readUInt8(0);
+        if (type === SEC_HELLO) {
+            this.handleHello(frame);
+            return;
+        }
+        if (type !== SEC_DATA) {
+            // 未加密的帧可能是注入的数据，也可能是对端未配置密钥
+            if (this.stats.plaintextFrames++ === 0) {
+                this.emit('warning', '收到未加密的帧，已丢弃（对端未配置预共享密钥？）');
+            }
+            return;
+        }
+        if (!this.established || frame.length < DATA_HEADER_LENGTH + TAG_LENGTH) {
+            return;
+        }
+
+        const header = frame.subarray(0, DATA_HEADER_LENGTH);
+        const counter = Number(header.readBigUInt64BE(1));
+        if (counter <= this.rxCounter) {
+            this.authFailed(`计数器回退 (${counter} <= ${this.rxCounter})，疑似重放`);
+            return;
+        }
+
+        let payload;
+        try {
+            const decipher = crypto.createDecipheriv(CIPHER, this.rxKey, this.nonce(header));
+            decipher.setAAD(header);
+            decipher.setAuthTag(frame.subarray(frame.length - TAG_LENGTH));
+            payload = Buffer.concat([
+                decipher.update(frame.subarray(DATA_HEADER_LENGTH, frame.length - TAG_LENGTH)),
+                decipher.final()
+            ]);
+        } catch (err) {
+            this.authFailed('认证失败');
+            return;
+        }
+
+        this.rxCounter = counter;
+        this.emit('payload', payload);
+    }
+
+    authFailed(reason) {
+        this.stats.authFailures++;
+        this.emit('auth-failure', { reason, count: this.stats.authFailures });
+    }
+}
+
+module.exports = {
+    SecureChannel,
+    loadPreSharedKey,
+    SEC_HELLO,
+    SEC_DATA
+};
@@ -0,0 +1,161 @@
+const EventEmitter = require('events');
+
+// 串口线路设置的简短描述，例如 "115200 8N1, 流控: RTS/CTS"
+function describeLineSettings(settings, rs485 = null) {
+    const parity = (settings.parity || 'none')[0].toUpperCase();
+    const flow = [];
+    if (settings.rtscts) {
+        flow.push('RTS/CTS');
+    }
+    if (settings.xon || settings.xoff) {
+        flow.push(settings.xon && settings.xoff ? 'XON/XOFF' : settings.xon ? 'XON' : 'XOFF');
+    }
+    if (settings.xany) {
+        flow.push('XANY');
+    }
+    const parts = [
+        `${settings.baudRate} ${settings.dataBits || 8}${parity}${settings.stopBits || 1}`,
+        `流控: ${flow.length > 0 ? flow.join(' + ') : '无'}`,
+        `hupcl: ${settings.hupcl !== false}`
+    ];
+    if (rs485) {
+        parts.push(`RS-485: 发送时 RTS ${rs485.rtsOnSend ? '高' : '低'}, 延迟 ${rs485.delayBeforeSend}/${rs485.delayAfterSend}ms`);
+    }
+    return parts.join(', ');
+}
+
+// RS-485 半双工的收发方向控制：发送前拉起 RTS 使能驱动器，数据全部发出（drain）后再释放 RTS
+// serialport 不提供内核的 RS-485 模式（TIOCSRS485），这里用 set({ rts }) 在用户态切换，
+// 没有自动方向控制的转换器需要这种方式；RTS 用于方向控制时不能同时启用 RTS/CTS 硬件流控
+class Rs485Direction extends EventEmitter {
+    constructor(serialPort, options = {}) {
+        super();
+        this.serialPort = serialPort;
+        this.rtsOnSend = options.rtsOnSend !== false;   // 发送时 RTS 的电平
+        this.delayBeforeSend = options.delayBeforeSend || 0;
+        this.delayAfterSend = options.delayAfterSend || 0;
+
+        this.state = 'idle';    // idle | enabling | sending | disabling
+        this.queue = [];        // 驱动器使能前暂存的写入 { data, callback }
+        this.draining = false;
+        this.writesSinceDrain = 0;
+        this.timer = null;
+        this.generation = 0;    // reset() 时递增，忽略之前发起的异步操作的回调
+        this.failed = false;    // 串口不支持设置 RTS 时每次打开只报告一次
+    }
+
+    // 与 serialPort.write 相同的返回值：false 表示应等待 'drain'
+    write(data, callback) {
+        if (this.state === 'sending') {
+            this.writesSinceDrain++;
+            const result = this.serialPort.write(data, callback);
+            this.scheduleRelease();
+            return result;
+        }
+        this.queue.push({ data, callback });
+        if (this.state === 'idle') {
+            this.enable();
+        }
+        return true;
+    }
+
+    enable() {
+        this.state = 'enabling';
+        this.setRts(this.rtsOnSend, () => {
+            if (this.state !== 'enabling') {
+                return;
+            }
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                if (this.state !== 'enabling') {
+                    return;
+                }
+                this.state = 'sending';
+                const queued = this.queue;
+                this.queue = [];
+                queued.forEach(({ data, callback }) => this.write(data, callback));
+            }, this.delayBeforeSend);
+        });
+    }
+
+    // 等到没有新的写入并且数据已经全部发出后释放驱动器
+    scheduleRelease() {
+        if (this.draining) {
+            return;
+        }
+        this.draining = true;
+        this.writesSinceDrain = 0;
+        const generation = this.generation;
+        this.serialPort.drain(() => {
+            if (generation !== this.generation) {
+                return;
+            }
+            this.draining = false;
+            if (this.state !== 'sending') {
+                return;
+            }
+            if (this.writesSinceDrain > 0) {
+                this.scheduleRelease();
+                return;
+            }
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                if (this.state !== 'sending' || this.draining) {
+                    return;
+                }
+                this.release();
+            }, this.delayAfterSend);
+        });
+    }
+
+    // 释放驱动器，期间的写入暂存到释放完成后重新使能
+    release() {
+        this.state = 'disabling';
+        this.setRts(!this.rtsOnSend, () => {
+            if (this.state !== 'disabling') {
+                return;
+            }
+            this.state = 'idle';
+            if (this.queue.length > 0) {
+                this.enable();
+            }
+        });
+    }
+
+    setRts(level, callback) {
+        if (!this.serialPort.isOpen) {
+            return;
+        }
+        const generation = this.generation;
+        this.serialPort.set({ rts: level }, (err) => {
+            if (err && !this.failed) {
+                this.failed = true;
+                this.emit('error', err);
+            }
+            if (generation === this.generation) {
+                callback();
+            }
+        });
+    }
+
+    // 串口打开后释放驱动器（进入接收状态），关闭后丢弃暂存的写入
+    reset() {
+        this.generation++;
+        this.failed = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.draining = false;
+        this.state = 'idle';
+        const queued = this.queue;
+        this.queue = [];
+        queued.forEach(({ callback }) => callback && callback(new Error('串口已关闭')));
+        if (this.serialPort.isOpen) {
+            this.release();
+        }
+    }
+}
+
+module.exports = {
+    Rs485Direction,
+    describeLineSettings
+};
@@ -0,0 +1,85 @@
+const { SerialPort } = require('serialport');
+
+// 统一USB标识的格式：小写十六进制，去掉 0x 前缀，厂商/产品ID补齐为4位
+function normalizeId(id) {
+    if (id === undefined || id === null || id === '') {
+        return '';
+    }
+    const text = String(id).toLowerCase().replace(/^0x/, '');
+    return /^[0-9a-f]{1,4}$/.test(text) ? text.padStart(4, '0') : text;
+}
+
+// 按USB厂商ID、产品ID和序列号查找串口；USB转串口模块的设备路径（COM20、/dev/ttyUSB3）
+// 在重启或重新插拔后可能改变，而这些标识不变。同一台机器上有多个相同型号的模块时需要用序列号区分
+class PortLocator {
+    constructor(options = {}) {
+        this.vendorId = normalizeId(options.vendorId);
+        this.productId = normalizeId(options.productId);
+        this.serialNumber = options.serialNumber || '';
+        this.list = options.list || (() => SerialPort.list());
+    }
+
+    isEnabled() {
+        return this.vendorId !== '' || this.productId !== '' || this.serialNumber !== '';
+    }
+
+    describe() {
+        const parts = [];
+        if (this.vendorId) {
+            parts.push(`vendorId=${this.vendorId}`);
+        }
+        if (this.productId) {
+            parts.push(`productId=${this.productId}`);
+        }
+        if (this.serialNumber) {
+            parts.push(`serialNumber=${this.serialNumber}`);
+        }
+        return `USB ${parts.join(', ')}`;
+    }
+
+    matches(port) {
+        return (!this.vendorId || normalizeId(port.vendorId) === this.vendorId) &&
+            (!this.productId || normalizeId(port.productId) === this.productId) &&
+            (!this.serialNumber || port.serialNumber === this.serialNumber);
+    }
+
+    // 返回唯一匹配的串口路径，没有匹配或匹配多个时抛出异常
+    async resolve() {
+        const ports = await this.list();
+        const matched = ports.filter(port => this.matches(port));
+        if (matched.length === 0) {
+            throw new Error(`没有找到匹配 ${this.describe()} 的串口`);
+        }
+        if (matched.length > 1) {
+            throw new Error(`有 ${matched.length} 个串口匹配 ${this.describe()} (${matched.map(port => port.path).join(', ')})，请指定 serialNumber`);
+        }
+        return matched[0].path;
+    }
+}
+
+// 把 SerialPort.list() 的结果格式化为表格
+function formatPortList(ports) {
+    if (ports.length === 0) {
+        return '没有找到串口';
+    }
+    const columns = [
+        ['path', '路径'],
+        ['manufacturer', '制造商'],
+        ['serialNumber', '序列号'],
+        ['vendorId', '厂商ID'],
+        ['productId', '产品ID']
+    ];
+    const rows = ports.map(port => columns.map(([key]) => port[key] ? String(port[key]) : '-'));
+    const header = columns.map(([, title]) => title);
+    // 中文标题在终端中占两列
+    const width = text => [...text].reduce((sum, char) => sum + (char.charCodeAt(0) > 0xFF ? 2 : 1), 0);
+    const widths = header.map((title, index) => Math.max(width(title), ...rows.map(row => width(row[index]))));
+    const format = row => row.map((cell, index) => cell + ' '.repeat(widths[index] - width(cell))).join('  ').trimEnd();
+    return [format(header), ...rows.map(format)].join('\n');
+}
+
+module.exports = {
+    PortLocator,
+    formatPortList,
+    normalizeId
+};
@@ -0,0 +1,102 @@
+const EventEmitter = require('events');
+
+const DEFAULT_INITIAL_DELAY = 1000;
+const DEFAULT_MAX_DELAY = 30000;
+
+// 串口打开失败或意外关闭（例如USB转串口模块重新枚举）时，按指数退避反复尝试重新打开同一个串口对象，
+// 监听器和上层状态都保留在原对象上（其他链路传输提供相同的接口，同样适用）；调用 stop() 后不再重新打开（用于程序退出）
+// 设置了 resolvePath（返回串口路径的异步函数，例如按USB标识查找）时每次打开前重新确定路径，
+// 路径变化时由串口传输的 setPath() 换用新的 SerialPort 对象，模块重新枚举为另一个设备路径后也能重新打开
+class SerialReconnector extends EventEmitter {
+    constructor(serialPort, options = {}) {
+        super();
+        this.serialPort = serialPort;
+        this.initialDelay = options.initialDelay || DEFAULT_INITIAL_DELAY;
+        this.maxDelay = options.maxDelay || DEFAULT_MAX_DELAY;
+        this.resolvePath = options.resolvePath || null;
+
+        this.failures = 0;   // 连续打开失败的次数，打开成功后归零
+        this.timer = null;
+        this.stopped = true;
+
+        this.serialPort.on('close', (err) => {
+            if (this.stopped) {
+                return;
+            }
+            // 断开时 err 为 DisconnectedError（err.disconnected 为 true），正常关闭时为空
+            this.emit('close', err || null);
+            this.scheduleOpen();
+        });
+    }
+
+    start() {
+        this.stopped = false;
+        this.open();
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    open() {
+        this.timer = null;
+        if (!this.resolvePath) {
+            this.openPort();
+            return;
+        }
+        this.resolvePath().then((path) => {
+            if (this.stopped) {
+                return;
+            }
+            if (path !== this.serialPort.path) {
+                this.serialPort.setPath(path);
+                this.emit('resolved', path);
+            }
+            this.openPort();
+        }, (err) => {
+            if (this.stopped) {
+                return;
+            }
+            this.failures++;
+            this.emit('open-failed', { err, failures: this.failures });
+            this.scheduleOpen();
+        });
+    }
+
+    openPort() {
+        this.serialPort.open((err) => {
+            if (this.stopped) {
+                return;
+            }
+            if (err) {
+                this.failures++;
+                this.emit('open-failed', { err, failures: this.failures });
+                this.scheduleOpen();
+                return;
+            }
+            this.failures = 0;
+            this.emit('open');
+        });
+    }
+
+    // 重试延迟：断开后 1s 开始，每次失败翻倍，不超过 maxDelay
+    nextDelay() {
+        const exponent = Math.min(Math.max(0, this.failures - 1), 16);
+        return Math.min(this.maxDelay, this.initialDelay * 2 ** exponent);
+    }
+
+    scheduleOpen() {
+        if (this.stopped || this.timer) {
+            return;
+        }
+        const delay = this.nextDelay();
+        this.emit('retry', { delay, failures: this.failures });
+        this.timer = setTimeout(() => this.open(), delay);
+    }
+}
+
+module.exports = {
+    SerialReconnector
+};
@@ -0,0 +1,217 @@
+const net = require('net');
+const dns = require('dns');
+const fs = require('fs');
+
+// 策略拒绝时报告给服务端的原因码
+const REASON_NOT_ALLOWED = 'ENOTALLOWED';
+
+// 将IP地址转换为字节（IPv4为4字节，IPv6为16字节；IPv4映射的IPv6地址按IPv4处理）
+function addressToBytes(address) {
+    if (net.isIPv4(address)) {
+        return Buffer.from(address.split('.').map(part => parseInt(part)));
+    }
+
+    let host = address.split('%')[0];
+    const lastColon = host.lastIndexOf(':');
+    const tail = host.substring(lastColon + 1);
+    if (net.isIPv4(tail)) {
+        const parts = tail.split('.').map(part => parseInt(part));
+        host = host.substring(0, lastColon + 1) +
+            ((parts[0] << 8) | parts[1]).toString(16) + ':' + ((parts[2] << 8) | parts[3]).toString(16);
+    }
+
+    const [head, rest] = host.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const restGroups = rest ? rest.split(':') : [];
+    const groups = [...headGroups];
+    if (rest !== undefined) {
+        for (let i = headGroups.length + restGroups.length; i < 8; i++) {
+            groups.push('0');
+        }
+    }
+    groups.push(...restGroups);
+
+    const bytes = Buffer.alloc(16);
+    groups.forEach((group, index) => bytes.writeUInt16BE(parseInt(group, 16) || 0, index * 2));
+
+    // ::ffff:a.b.c.d
+    if (bytes.subarray(0, 10).every(b => b === 0) && bytes[10] === 0xFF && bytes[11] === 0xFF) {
+        return bytes.subarray(12);
+    }
+    return bytes;
+}
+
+// 前缀匹配
+function inRange(bytes, network, prefix) {
+    if (bytes.length !== network.length) {
+        return false;
+    }
+    let bits = prefix;
+    for (let i = 0; i < bytes.length && bits > 0; i++) {
+        const mask = bits >= 8 ? 0xFF : (0xFF << (8 - bits)) & 0xFF;
+        if ((bytes[i] & mask) !== (network[i] & mask)) {
+            return false;
+        }
+        bits -= 8;
+    }
+    return true;
+}
+
+// 解析端口规则：数字、"起始-结束" 字符串或它们组成的数组，省略表示任意端口
+function parsePorts(port, where) {
+    if (port === undefined) {
+        return null;
+    }
+    const items = Array.isArray(port) ? port : [port];
+    return items.map(item => {
+        const match = typeof item === 'number' ? [null, item, item] : /^(\d+)(?:-(\d+))?$/.exec(String(item));
+        const from = match && Number(match[1]);
+        const to = match && Number(match[2] === undefined ? match[1] : match[2]);
+        if (!match || !Number.isInteger(from) || from < 1 || to > 65535 || from > to) {
+            throw new Error(`${where}: 端口无效: ${JSON.stringify(item)}`);
+        }
+        return [from, to];
+    });
+}
+
+// 解析主机规则：主机名、"*.域名"、"*"、IP地址或CIDR网段
+function parseHost(host, where) {
+    if (typeof host !== 'string' || host.length === 0) {
+        throw new Error(`${where}: 缺少 host`);
+    }
+    if (host === '*') {
+        return { type: 'any' };
+    }
+
+    const [address, prefixText] = host.split('/');
+    if (net.isIP(address)) {
+        const network = addressToBytes(address);
+        const maxPrefix = network.length * 8;
+        // IPv4映射的IPv6网段按IPv4前缀计算
+        const offset = net.isIPv6(address) && network.length === 4 ? 96 : 0;
+        const prefix = prefixText === undefined ? maxPrefix : Number(prefixText) - offset;
+        if ((prefixText !== undefined && !/^\d+$/.test(prefixText)) || prefix < 0 || prefix > maxPrefix) {
+            throw new Error(`${where}: CIDR前缀无效: ${host}`);
+        }
+        return { type: 'address', network, prefix };
+    }
+
+    if (prefixText !== undefined || !/^(\*\.)?[a-z0-9]([a-z0-9.-]*[a-z0-9])?$/i.test(host)) {
+        throw new Error(`${where}: 主机格式无效: ${host}`);
+    }
+    if (host.startsWith('*.')) {
+        return { type: 'suffix', suffix: host.substring(1).toLowerCase() };
+    }
+    return { type: 'name', name: host.toLowerCase() };
+}
+
+// 客户端侧的目标允许列表：
+// - 目标为IP地址时直接按IP/CIDR规则检查
+// - 目标为域名时先按主机名规则检查；只有IP/CIDR规则可能允许时，在DNS解析时检查解析结果，
+//   连接使用的正是被检查过的地址，避免DNS重绑定绕过
+// 未加载允许列表时允许任何目标
+class TargetPolicy {
+    constructor(rules = null) {
+        this.rules = rules;
+    }
+
+    // 从配置文件加载：{ "allowedTargets": [{ "host": "...", "port": ... }] }
+    static load(file) {
+        return TargetPolicy.fromConfig(JSON.parse(fs.readFileSync(file, 'utf8')));
+    }
+
+    // 从已解析的配置创建，格式与配置文件相同
+    static fromConfig(config) {
+        if (!config || !Array.isArray(config.allowedTargets)) {
+            throw new Error('配置中缺少 allowedTargets 数组');
+        }
+        const rules = config.allowedTargets.map((entry, index) => {
+            const where = `allowedTargets[${index}]`;
+            if (!entry || typeof entry !== 'object') {
+                throw new Error(`${where}: 应为对象`);
+            }
+            return {
+                ...parseHost(entry.host, where),
+                ports: parsePorts(entry.port, where),
+                text: `${entry.host}${entry.port === undefined ? '' : ':' + [].concat(entry.port).join(',')}`
+            };
+        });
+        return new TargetPolicy(rules);
+    }
+
+    isOpen() {
+        return this.rules === null;
+    }
+
+    // 允许列表的文字描述（用于日志）
+    describe() {
+        return this.isOpen() ? ['*'] : this.rules.map(rule => rule.text);
+    }
+
+    rulesForPort(port) {
+        return this.rules.filter(rule => !rule.ports || rule.ports.some(([from, to]) => port >= from && port <= to));
+    }
+
+    // 检查目标：返回 'allow'、'deny'，或 'resolve'（需要在DNS解析后按地址检查）
+    check(host, port) {
+        if (this.isOpen()) {
+            return 'allow';
+        }
+
+        const rules = this.rulesForPort(port);
+        if (rules.some(rule => rule.type === 'any')) {
+            return 'allow';
+        }
+
+        if (net.isIP(host)) {
+            return this.allowsAddress(host, port) ? 'allow' : 'deny';
+        }
+
+        const name = host.toLowerCase().replace(/\.$/, '');
+        const nameAllowed = rules.some(rule =>
+            (rule.type === 'name' && rule.name === name) ||
+            (rule.type === 'suffix' && name.endsWith(rule.suffix)));
+        if (nameAllowed) {
+            return 'allow';
+        }
+        return rules.some(rule => rule.type === 'address') ? 'resolve' : 'deny';
+    }
+
+    allowsAddress(address, port) {
+        const bytes = addressToBytes(address);
+        return this.rulesForPort(port).some(rule =>
+            rule.type === 'any' || (rule.type === 'address' && inRange(bytes, rule.network, rule.prefix)));
+    }
+
+    // 创建 socket.connect 的 lookup 函数：只把允许的解析结果交给连接
+    createLookup(port) {
+        return (hostname, options, callback) => {
+            dns.lookup(hostname, options, (err, address, family) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                // 开启 all 选项时返回地址数组
+                if (Array.isArray(address)) {
+                    const allowed = address.filter(entry => this.allowsAddress(entry.address, port));
+                    return allowed.length > 0 ? callback(null, allowed) : callback(this.rejection(hostname, port));
+                }
+                if (!this.allowsAddress(address, port)) {
+                    return callback(this.rejection(`${hostname} (${address})`, port));
+                }
+                callback(null, address, family);
+            });
+        };
+    }
+
+    rejection(target, port) {
+        const err = new Error(`目标不在允许列表中: ${target}:${port}`);
+        err.code = REASON_NOT_ALLOWED;
+        return err;
+    }
+}
+
+module.exports = {
+    TargetPolicy,
+    REASON_NOT_ALLOWED
+};
@@ -0,0 +1,486 @@
+const test = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dgram = require('dgram');
+const { once } = require('events');
+const { BridgeServer, BridgeClient } = require('..');
+const { encodeFrame, MAX_FRAME_PAYLOAD } = require('../frame');
+const {
+    createLinkPair,
+    createLogger,
+    freePort,
+    startEchoServer,
+    startUdpEchoServer,
+    startBridges,
+    stopBridges,
+    connect,
+    waitFor,
+    receive
+} = require('./helpers');
+
+// 服务端和客户端侧在同一进程中经内存管道相连，本地端口映射到回显服务器
+
+const TIMEOUT = 30000;
+
+// 创建回显服务器和指向它的映射，运行 body 后停止两端和回显服务器
+async function withBridges(options, body) {
+    const echoServers = [];
+    const mappings = [];
+    for (let i = 0; i < (options.mappings || 1); i++) {
+        const echo = await startEchoServer();
+        echoServers.push(echo);
+        mappings.push({ localPort: await freePort(), remoteHost: '127.0.0.1', remotePort: echo.port });
+    }
+    const bridges = await startBridges({ ...options, mappings });
+    try {
+        await body({ ...bridges, echoServers, ports: mappings.map(mapping => mapping.localPort) });
+    } finally {
+        await stopBridges(bridges);
+        await Promise.all(echoServers.map(echo => echo.close()));
+    }
+}
+
+// 发送数据并检查原样回显
+async function echoThrough(port, length) {
+    const socket = await connect(port);
+    const data = crypto.randomBytes(length);
+    socket.write(data);
+    const received = await receive(socket, length, 20000);
+    assert.ok(received.equals(data), `端口 ${port} 回显的 ${length} 字节数据不一致`);
+    return socket;
+}
+
+test('经映射转发数据', { timeout: TIMEOUT }, async () => {
+    await withBridges({}, async ({ ports }) => {
+        const socket = await echoThrough(ports[0], 300000);
+        socket.destroy();
+    });
+});
+
+test('多个映射分别转发到各自的目标', { timeout: TIMEOUT }, async () => {
+    await withBridges({ mappings: 3 }, async ({ ports, echoServers }) => {
+        const sockets = await Promise.all(ports.map(port => echoThrough(port, 20000)));
+        echoServers.forEach(echo => assert.strictEqual(echo.sockets.length, 1));
+        sockets.forEach(socket => socket.destroy());
+    });
+});
+
+test('并发会话互不干扰', { timeout: TIMEOUT }, async () => {
+    await withBridges({ mappings: 2 }, async ({ server, ports, echoServers }) => {
+        const opened = [];
+        server.on('session-open', session => opened.push(session));
+        const sockets = await Promise.all(
+            Array.from({ length: 12 }, (_, i) => echoThrough(ports[i % 2], 10000 + i * 5000))
+        );
+        assert.strictEqual(opened.length, 12);
+        assert.strictEqual(new Set(opened.map(session => session.id)).size, 12);
+        assert.strictEqual(echoServers[0].sockets.length + echoServers[1].sockets.length, 12);
+        sockets.forEach(socket => socket.destroy());
+    });
+});
+
+test('本地连接关闭后目标连接随之关闭', { timeout: TIMEOUT }, async () => {
+    await withBridges({}, async ({ server, client, ports, echoServers }) => {
+        const socket = await echoThrough(ports[0], 1000);
+        const serverClosed = once(server, 'session-close');
+        const clientClosed = once(client, 'session-close');
+        socket.end();
+        await waitFor(() => echoServers[0].sockets[0].destroyed, 5000, '目标连接关闭');
+        await Promise.all([serverClosed, clientClosed]);
+    });
+});
+
+test('目标连接关闭后本地连接随之关闭', { timeout: TIMEOUT }, async () => {
+    await withBridges({}, async ({ server, client, ports, echoServers }) => {
+        const socket = await echoThrough(ports[0], 1000);
+        const serverClosed = once(server, 'session-close');
+        const clientClosed = once(client, 'session-close');
+        echoServers[0].sockets[0].destroy();
+        await once(socket, 'close');
+        await Promise.all([serverClosed, clientClosed]);
+    });
+});
+
+test('目标拒绝连接时关闭本地连接', { timeout: TIMEOUT }, async () => {
+    const localPort = await freePort();
+    const closedPort = await freePort();
+    const bridges = await startBridges({ mappings: [{ localPort, remoteHost: '127.0.0.1', remotePort: closedPort }] });
+    try {
+        const socket = await connect(localPort);
+        await once(socket, 'close');
+        assert.strictEqual(socket.received.length, 0);
+    } finally {
+        await stopBridges(bridges);
+    }
+});
+
+test('默认的允许列表不存在时拒绝连接请求', { timeout: TIMEOUT }, async () => {
+    // 在没有 allowlist.json 的目录中运行，省略 allowlist 且不设置 allowAny
+    const cwd = process.cwd();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-test-'));
+    process.chdir(dir);
+    try {
+        await withBridges({ client: { allowAny: false } }, async ({ client, ports, echoServers }) => {
+            assert.deepStrictEqual(client.targetPolicy.describe(), []);
+            const socket = await connect(ports[0]);
+            socket.write('hello');
+            await once(socket, 'close');
+            assert.strictEqual(socket.received.length, 0);
+            assert.strictEqual(echoServers[0].sockets.length, 0);
+        });
+    } finally {
+        process.chdir(cwd);
+        fs.rmSync(dir, { recursive: true });
+    }
+});
+
+test('客户端侧退出时通知服务端关闭 (CMD_PROGRAM_CLOSE)', { timeout: TIMEOUT }, async () => {
+    const echo = await startEchoServer();
+    const localPort = await freePort();
+    const bridges = await startBridges({ mappings: [{ localPort, remoteHost: '127.0.0.1', remotePort: echo.port }] });
+    try {
+        const socket = await echoThrough(localPort, 1000);
+        const serverClosed = once(bridges.server, 'close');
+        const socketClosed = once(socket, 'close');
+        await bridges.client.stop();
+        const [err] = await serverClosed;
+        assert.strictEqual(err, null);
+        // 服务端关闭时断开本地连接
+        await socketClosed;
+    } finally {
+        await stopBridges(bridges);
+        await echo.close();
+    }
+});
+
+test('链路断开后两端关闭会话', { timeout: TIMEOUT }, async () => {
+    const options = { server: { sessionGrace: 0 }, client: { sessionGrace: 0 } };
+    await withBridges(options, async ({ server, client, serverEnd, ports, echoServers }) => {
+        const socket = await echoThrough(ports[0], 1000);
+        const serverDown = once(server, 'link-down');
+        const clientDown = once(client, 'link-down');
+        const socketClosed = once(socket, 'close');
+        serverEnd.destroy();
+        await Promise.all([serverDown, clientDown, socketClosed]);
+        await waitFor(() => echoServers[0].sockets[0].destroyed, 5000, '目标连接关闭');
+    });
+});
+
+// 经UDP映射发送一个数据报并等待回显，返回本地套接字
+async function udpEchoThrough(port, text) {
+    const socket = dgram.createSocket('udp4');
+    socket.bind(0, '127.0.0.1');
+    await once(socket, 'listening');
+    const reply = once(socket, 'message');
+    socket.send(text, port, '127.0.0.1');
+    const [message] = await reply;
+    assert.strictEqual(message.toString(), text);
+    return socket;
+}
+
+// 运行一个指向UDP回显服务器、指定了 idleTimeout 的UDP映射
+async function withUdpMapping(idleTimeout, body) {
+    const echo = await startUdpEchoServer();
+    const localPort = await freePort();
+    const mapping = { localPort, remoteHost: '127.0.0.1', remotePort: echo.port, protocol: 'udp', idleTimeout };
+    const bridges = await startBridges({ mappings: [mapping] });
+    try {
+        await body({ ...bridges, localPort });
+    } finally {
+        await stopBridges(bridges);
+        await echo.close();
+    }
+}
+
+test('客户端侧按映射的 idleTimeout 保留UDP会话', { timeout: TIMEOUT }, async () => {
+    // 长于客户端侧默认的60秒
+    await withUdpMapping(90000, async ({ client, localPort }) => {
+        const socket = await udpEchoThrough(localPort, 'ping');
+        const [session] = client.udpTargets.values();
+        assert.strictEqual(session.idleTimeout, 90000);
+        socket.close();
+    });
+});
+
+test('客户端侧的UDP会话先超时时通知服务端关闭会话', { timeout: TIMEOUT }, async () => {
+    await withUdpMapping(90000, async ({ server, client, localPort }) => {
+        const socket = await udpEchoThrough(localPort, 'ping');
+        // 模拟 udp-open 丢失：客户端侧使用比服务端短的超时
+        const [session] = client.udpTargets.values();
+        const serverClosed = once(server, 'session-close');
+        session.idleTimeout = 100;
+        client.touchUdpTarget(session);
+        const [closed] = await serverClosed;
+        assert.strictEqual(closed.id, session.id);
+        assert.strictEqual(server.udpSessions.size, 0);
+        socket.close();
+    });
+});
+
+test('UDP会话空闲超时后两端都关闭，之后的数据报建立新的会话', { timeout: TIMEOUT }, async () => {
+    await withUdpMapping(300, async ({ server, client, localPort }) => {
+        const serverClosed = once(server, 'session-close');
+        const clientClosed = once(client, 'session-close');
+        const socket = await udpEchoThrough(localPort, 'first');
+        const [[serverSession], [clientSession]] = await Promise.all([serverClosed, clientClosed]);
+        assert.strictEqual(serverSession.type, 'udp');
+        assert.strictEqual(clientSession.id, serverSession.id);
+        assert.strictEqual(server.udpSessions.size, 0);
+        assert.strictEqual(client.udpTargets.size, 0);
+
+        // 同一来源地址的下一个数据报使用新的会话
+        const reopened = once(server, 'session-open');
+        const reply = once(socket, 'message');
+        socket.send('second', localPort, '127.0.0.1');
+        const [session] = await reopened;
+        assert.notStrictEqual(session.id, serverSession.id);
+        assert.strictEqual((await reply)[0].toString(), 'second');
+        socket.close();
+    });
+});
+
+test('链路数据被分成小块读取', { timeout: TIMEOUT }, async () => {
+    await withBridges({ link: { chunkSize: 7 } }, async ({ ports }) => {
+        const sockets = await Promise.all([echoThrough(ports[0], 50000), echoThrough(ports[0], 3000)]);
+        sockets.forEach(socket => socket.destroy());
+    });
+});
+
+test('多个帧合并在一次链路读取中', { timeout: TIMEOUT }, async () => {
+    await withBridges({ link: { coalesce: 5 } }, async ({ ports }) => {
+        const sockets = await Promise.all([echoThrough(ports[0], 200000), echoThrough(ports[0], 3000)]);
+        sockets.forEach(socket => socket.destroy());
+    });
+});
+
+test('链路上帧之间的杂散数据被跳过', { timeout: TIMEOUT }, async () => {
+    await withBridges({}, async ({ serverEnd, clientEnd, ports }) => {
+        // 不含同步标记的第一个字节，不会被当作帧头
+        const noise = () => Buffer.from(crypto.randomBytes(200).map(byte => (byte === 0xA5 ? 0 : byte)));
+        const timer = setInterval(() => {
+            serverEnd.inject(noise());
+            clientEnd.inject(noise());
+        }, 2);
+        try {
+            const socket = await echoThrough(ports[0], 100000);
+            socket.destroy();
+        } finally {
+            clearInterval(timer);
+        }
+    });
+});
+
+test('可靠传输层重传损坏的帧', { timeout: TIMEOUT }, async () => {
+    // 链路可用后每20次写入翻转一个字节，CRC校验失败的帧由可靠传输层重传
+    let corrupting = false;
+    let writes = 0;
+    const corrupt = (data) => {
+        if (corrupting && ++writes % 20 === 0) {
+            data[Math.floor(Math.random() * data.length)] ^= 0xFF;
+        }
+        return data;
+    };
+    const options = {
+        link: { corrupt },
+        server: { reliable: true },
+        client: { reliable: true }
+    };
+    await withBridges(options, async ({ ports }) => {
+        corrupting = true;
+        const socket = await echoThrough(ports[0], 30000);
+        corrupting = false;
+        assert.ok(writes >= 20, '传输过程中没有损坏任何帧');
+        socket.destroy();
+    });
+});
+
+// 运行一个代理端口，body 结束后检查服务端仍能转发新的连接
+async function withProxyMapping(proxy, body) {
+    const echo = await startEchoServer();
+    const localPort = await freePort();
+    const bridges = await startBridges({ mappings: [{ localPort, proxy }] });
+    try {
+        await body({ ...bridges, localPort, echo });
+    } finally {
+        await stopBridges(bridges);
+        await echo.close();
+    }
+}
+
+// SOCKS5 无认证协商后按域名请求 host:port，返回套接字和服务端的应答码
+async function socksConnect(port, host, targetPort) {
+    const socket = await connect(port);
+    socket.write(Buffer.from([0x05, 0x01, 0x00]));
+    await receive(socket, 2, 5000);
+    const name = Buffer.from(host, 'latin1');
+    const request = Buffer.concat([Buffer.from([0x05, 0x01, 0x00, 0x03, name.length]), name, Buffer.alloc(2)]);
+    request.writeUInt16BE(targetPort, request.length - 2);
+    socket.received = [];
+    socket.write(request);
+    const reply = await receive(socket, 10, 5000);
+    socket.received = [];
+    return { socket, code: reply[1] };
+}
+
+// 发送 HTTP CONNECT 请求，返回套接字和应答的状态行
+async function httpConnect(port, authority) {
+    const socket = await connect(port);
+    socket.write(Buffer.concat([Buffer.from('CONNECT '), Buffer.from(authority, 'latin1'), Buffer.from(' HTTP/1.1\r\n\r\n')]));
+    await waitFor(() => Buffer.concat(socket.received).includes('\r\n\r\n'), 5000, 'HTTP 应答');
+    const response = Buffer.concat(socket.received).toString();
+    socket.received = [];
+    return { socket, status: response.split('\r\n')[0] };
+}
+
+test('经 SOCKS5 代理端口连接请求的目标', { timeout: TIMEOUT }, async () => {
+    await withProxyMapping('socks5', async ({ localPort, echo }) => {
+        const { socket, code } = await socksConnect(localPort, '127.0.0.1', echo.port);
+        assert.strictEqual(code, 0x00);
+        socket.write('through socks');
+        assert.strictEqual((await receive(socket, 13, 5000)).toString(), 'through socks');
+        socket.destroy();
+    });
+});
+
+test('SOCKS5 请求的域名无法编码时应答地址类型不支持而不影响服务端', { timeout: TIMEOUT }, async () => {
+    await withProxyMapping('socks5', async ({ localPort, echo }) => {
+        // 255 字节的单个标签，超过主机名标签的长度上限
+        const { socket, code } = await socksConnect(localPort, 'a'.repeat(255), echo.port);
+        assert.strictEqual(code, 0x08);
+        socket.destroy();
+
+        const next = await socksConnect(localPort, '127.0.0.1', echo.port);
+        assert.strictEqual(next.code, 0x00);
+        next.socket.destroy();
+    });
+});
+
+test('经 HTTP CONNECT 代理端口连接请求的目标', { timeout: TIMEOUT }, async () => {
+    await withProxyMapping('http', async ({ localPort, echo }) => {
+        const { socket, status } = await httpConnect(localPort, `127.0.0.1:${echo.port}`);
+        assert.match(status, / 200 /);
+        socket.write('through http');
+        assert.strictEqual((await receive(socket, 12, 5000)).toString(), 'through http');
+        socket.destroy();
+    });
+});
+
+test('HTTP CONNECT 的主机名含非 ASCII 字节时应答 400 而不影响服务端', { timeout: TIMEOUT }, async () => {
+    await withProxyMapping('http', async ({ localPort, echo }) => {
+        const { socket, status } = await httpConnect(localPort, `h\xe9\xff.example:${echo.port}`);
+        assert.match(status, / 400 /);
+        socket.destroy();
+
+        const next = await httpConnect(localPort, `127.0.0.1:${echo.port}`);
+        assert.match(next.status, / 200 /);
+        next.socket.destroy();
+    });
+});
+
+test('idleTimeout 超过定时器上限时拒绝启动', { timeout: TIMEOUT }, async () => {
+    const { serverEnd } = createLinkPair();
+    const server = new BridgeServer({
+        portMappings: [{ localPort: await freePort(), remoteHost: '127.0.0.1', remotePort: 80, idleTimeout: 5e9 }],
+        linkStream: serverEnd,
+        logger: createLogger()
+    });
+    await assert.rejects(server.start(), /idleTimeout 应为 1-2147483647 的整数/);
+});
+
+test('客户端侧把 udp-open 给出的超时限制在定时器上限内', { timeout: TIMEOUT }, async () => {
+    await withUdpMapping(90000, async ({ server, client, localPort }) => {
+        const socket = await udpEchoThrough(localPort, 'ping');
+        const [session] = client.udpTargets.values();
+        // 旧版本或其他实现的服务端可能给出超过上限的超时，超出时定时器会立即触发
+        const timeout = Buffer.alloc(4);
+        timeout.writeUInt32BE(0xFFFFFFFF, 0);
+        server.link.send(server.encodePacket('udp-open', session.id, timeout, session.targetHost, session.targetPort), () => {});
+        await waitFor(() => session.idleTimeout === 0xFFFFFFFF, 5000, 'udp-open');
+        await new Promise(resolve => setTimeout(resolve, 200));
+        assert.ok(client.udpTargets.has(session.id));
+        socket.close();
+    });
+});
+
+// 在临时目录中写入预共享密钥文件，运行 body(files) 后删除目录
+async function withKeyFiles(keys, body) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-test-'));
+    try {
+        await body(keys.map((key, i) => {
+            const file = path.join(dir, `link${i}.psk`);
+            fs.writeFileSync(file, `${key}\n`);
+            return file;
+        }));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// 协议版本为 version 的 HELLO 帧，不带认证标签
+function helloFrame(version, instanceId) {
+    const hello = Buffer.alloc(14);
+    hello.writeUInt8(0x20, 0);
+    hello.writeUInt8(version, 1);
+    hello.writeUInt32BE(MAX_FRAME_PAYLOAD, 2);
+    hello.writeUInt32BE(0, 6);
+    hello.writeUInt32BE(instanceId, 10);
+    return encodeFrame(hello);
+}
+
+test('两端使用相同的预共享密钥时经加密链路转发数据', { timeout: TIMEOUT }, async () => {
+    await withKeyFiles(['correct horse battery staple'], async ([pskFile]) => {
+        const options = { server: { pskFile }, client: { pskFile } };
+        await withBridges(options, async ({ server, client, ports }) => {
+            assert.ok(server.secure.isEstablished() && client.secure.isEstablished());
+            const socket = await echoThrough(ports[0], 50000);
+            socket.destroy();
+        });
+    });
+});
+
+test('预共享密钥不一致时链路不可用', { timeout: TIMEOUT }, async () => {
+    await withKeyFiles(['correct horse battery staple', 'another sixteen byte key'], async ([serverKey, clientKey]) => {
+        const { serverEnd, clientEnd } = createLinkPair();
+        const server = new BridgeServer({ portMappings: [], linkStream: serverEnd, logger: createLogger(), pskFile: serverKey });
+        const client = new BridgeClient({ allowAny: true, linkStream: clientEnd, logger: createLogger(), pskFile: clientKey });
+        try {
+            await Promise.all([server.start(), client.start()]);
+            await waitFor(() => server.handshake.authFailures > 0 && client.handshake.authFailures > 0, 5000, '握手认证失败');
+            assert.ok(!server.isLinkUp() && !client.isLinkUp());
+        } finally {
+            await stopBridges({ server, client });
+        }
+    });
+});
+
+test('设置预共享密钥时丢弃链路上注入的握手帧', { timeout: TIMEOUT }, async () => {
+    await withKeyFiles(['correct horse battery staple'], async ([pskFile]) => {
+        const options = { server: { pskFile }, client: { pskFile } };
+        await withBridges(options, async ({ server, clientEnd, ports }) => {
+            let linkDown = false;
+            server.on('link-down', () => {
+                linkDown = true;
+            });
+            // 不兼容的版本和新的实例ID：未认证时会使服务端认为对端不兼容或已重启
+            clientEnd.inject(helloFrame(99, 1));
+            clientEnd.inject(helloFrame(2, 2));
+            await waitFor(() => server.handshake.authFailures === 2, 5000, '丢弃注入的握手帧');
+            assert.ok(server.isLinkUp() && !linkDown);
+            const socket = await echoThrough(ports[0], 1000);
+            socket.destroy();
+        });
+    });
+});
+
+test('对端不兼容时链路断开', { timeout: TIMEOUT }, async () => {
+    await withBridges({}, async ({ server, clientEnd }) => {
+        const linkDown = once(server, 'link-down');
+        clientEnd.inject(helloFrame(99, 1));
+        const [{ reason }] = await linkDown;
+        assert.match(reason, /协议版本不一致/);
+        assert.ok(!server.isLinkUp());
+    });
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const codec = require('../codec');
+const { Compression } = require('../compression');
+
+// 经编码流写入数据包对象，再经解析流读出
+function roundTrip(packets, options = {}) {
+    const encoder = new codec.PacketEncoder(options.encoder);
+    const decoder = new codec.PacketDecoder(options.decoder);
+    const decoded = [];
+    const invalid = [];
+    decoder.on('data', packet => decoded.push(packet));
+    decoder.on('invalid', event => invalid.push(event.reason));
+    encoder.on('data', packet => decoder.write(packet));
+    packets.forEach(packet => encoder.write(packet));
+    return { decoded, invalid };
+}
+
+test('按各种地址类型编码和解析数据包', () => {
+    const clientId = codec.newClientId();
+    // IPv6 地址解析为不带缩写的形式
+    const hosts = {
+        '192.168.1.100': '192.168.1.100',
+        '::1': '0:0:0:0:0:0:0:1',
+        'fe80::1:2': 'fe80:0:0:0:0:0:1:2',
+        'example.com': 'example.com'
+    };
+    for (const [host, decodedHost] of Object.entries(hosts)) {
+        const data = crypto.randomBytes(100);
+        const packet = codec.decodePacket(codec.createPacket(codec.CMD_CONNECT, clientId, data, host, 8080));
+        assert.strictEqual(packet.cmd, codec.CMD_CONNECT);
+        assert.strictEqual(packet.clientId, clientId);
+        assert.strictEqual(packet.targetHost, decodedHost);
+        assert.strictEqual(packet.targetPort, 8080);
+        assert.deepStrictEqual(Buffer.from(packet.data), data);
+    }
+});
+
+test('编码流和解析流按命令名往返', () => {
+    const clientId = codec.newClientId();
+    const packets = Object.values(codec.COMMAND_NAMES).map(type => ({
+        type,
+        clientId,
+        data: Buffer.from(type),
+        targetHost: '127.0.0.1',
+        targetPort: 22
+    }));
+    const { decoded, invalid } = roundTrip(packets);
+    assert.deepStrictEqual(invalid, []);
+    assert.deepStrictEqual(decoded.map(packet => packet.type), packets.map(packet => packet.type));
+    decoded.forEach((packet, index) => {
+        assert.strictEqual(packet.clientId, clientId);
+        assert.strictEqual(packet.data.toString(), packets[index].type);
+    });
+});
+
+test('启用压缩时压缩数据并在解析时还原', () => {
+    const compression = new Compression({ enabled: true });
+    compression.setPeerEnabled(true);
+    const data = Buffer.alloc(4096, 'abc');
+    const encoder = new codec.PacketEncoder({ compression });
+    const encoded = [];
+    encoder.on('data', packet => encoded.push(packet));
+    encoder.write({ type: 'data', clientId: codec.newClientId(), data });
+    assert.ok(encoded[0].length < data.length);
+
+    const { decoded } = roundTrip([{ type: 'data', clientId: codec.newClientId(), data }], {
+        encoder: { compression },
+        decoder: { compression }
+    });
+    assert.strictEqual(decoded[0].type, 'data');
+    assert.deepStrictEqual(Buffer.from(decoded[0].data), data);
+});
+
+test('编码流拒绝未知命令', async () => {
+    const encoder = new codec.PacketEncoder();
+    const error = new Promise(resolve => encoder.once('error', resolve));
+    encoder.write({ type: 'bogus', clientId: codec.newClientId() });
+    assert.match((await error).message, /未知命令: bogus/);
+});
+
+test('解析流丢弃无效的数据包并继续处理后面的数据包', () => {
+    const clientId = codec.newClientId();
+    const valid = codec.createPacket(codec.CMD_DATA, clientId, Buffer.from('ok'));
+    const unknown = Buffer.from(valid);
+    unknown[0] = 0x0D;
+    const oversize = Buffer.from(valid);
+    oversize.writeUInt32BE(codec.MAX_PACKET_DATA + 1, valid.length - 2 - 4);
+
+    const decoder = new codec.PacketDecoder();
+    const decoded = [];
+    const invalid = [];
+    decoder.on('data', packet => decoded.push(packet));
+    decoder.on('invalid', event => invalid.push(event.reason));
+    [unknown, valid.subarray(0, 5), oversize, valid].forEach(packet => decoder.write(packet));
+
+    assert.strictEqual(decoded.length, 1);
+    assert.strictEqual(decoded[0].data.toString(), 'ok');
+    assert.strictEqual(invalid.length, 3);
+    assert.match(invalid[0], /未知命令: 0x0d/);
+    assert.match(invalid[2], /数据长度过大/);
+    assert.deepStrictEqual(decoder.stats, { packets: 1, invalidPackets: 3 });
+});
+
+test('解析流丢弃无法解压的数据包', () => {
+    const compression = new Compression({ enabled: true });
+    compression.setPeerEnabled(true);
+    const garbage = codec.createPacket(codec.CMD_DATA | 0x80, codec.newClientId(), Buffer.from('not deflate data'));
+    const decoder = new codec.PacketDecoder({ compression });
+    const invalid = [];
+    decoder.on('invalid', event => invalid.push(event.reason));
+    decoder.resume();
+    decoder.write(garbage);
+    assert.match(invalid[0], /解压数据失败/);
+});
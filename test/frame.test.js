@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const { FrameParser, LineCodec, encodeFrame, MAX_FRAME_PAYLOAD } = require('../frame');
+
+// 把数据按给定的分块方式写入解析流，返回解析出的帧和丢弃的损坏帧
+function parse(chunks, options) {
+    const parser = new FrameParser(options);
+    const frames = [];
+    const corrupt = [];
+    parser.on('frame', payload => frames.push(Buffer.from(payload)));
+    parser.on('corrupt', event => corrupt.push(event.reason));
+    parser.resume();
+    chunks.forEach(chunk => parser.write(chunk));
+    return { parser, frames, corrupt };
+}
+
+// 按随机长度（1 到 maxLength 字节）切分
+function split(data, maxLength) {
+    const chunks = [];
+    for (let offset = 0; offset < data.length;) {
+        const length = 1 + Math.floor(Math.random() * maxLength);
+        chunks.push(data.subarray(offset, offset + length));
+        offset += length;
+    }
+    return chunks;
+}
+
+const payloads = [1, 17, 1024, 60000, 0, 3].map(length => crypto.randomBytes(length));
+const stream = Buffer.concat(payloads.map(payload => encodeFrame(payload)));
+
+test('一次收到一个完整的帧', () => {
+    const { frames } = parse(payloads.map(payload => encodeFrame(payload)));
+    assert.deepStrictEqual(frames, payloads);
+});
+
+test('逐字节收到的帧', () => {
+    const { frames } = parse(split(stream, 1));
+    assert.deepStrictEqual(frames, payloads);
+});
+
+test('随机分段收到的帧', () => {
+    for (const maxLength of [7, 100, 4096]) {
+        const { frames } = parse(split(stream, maxLength));
+        assert.deepStrictEqual(frames, payloads);
+    }
+});
+
+test('多个帧合并在一次读取中', () => {
+    const { frames } = parse([Buffer.concat([stream, stream])]);
+    assert.deepStrictEqual(frames, [...payloads, ...payloads]);
+});
+
+test('解析后不保留已处理的数据', () => {
+    const { parser } = parse(split(stream, 500));
+    assert.strictEqual(parser.buffer.length, 0);
+    assert.strictEqual(parser.chunks.length, 0);
+});
+
+test('跳过帧之间的杂散字节', () => {
+    const noise = Buffer.from([0x00, 0xA5, 0x13, 0x5A, 0xA5]);
+    const data = Buffer.concat([noise, encodeFrame(payloads[1]), noise, encodeFrame(payloads[2])]);
+    const { frames, parser } = parse(split(data, 3));
+    assert.deepStrictEqual(frames, [payloads[1], payloads[2]]);
+    assert.ok(parser.stats.droppedBytes >= noise.length * 2);
+});
+
+test('丢弃CRC错误的帧并在下一个帧处重新同步', () => {
+    const damaged = encodeFrame(payloads[2]);
+    damaged[100] ^= 0xFF;
+    const data = Buffer.concat([encodeFrame(payloads[1]), damaged, encodeFrame(payloads[3])]);
+    const { frames, corrupt } = parse(split(data, 64));
+    assert.deepStrictEqual(frames, [payloads[1], payloads[3]]);
+    assert.strictEqual(corrupt.length, 1);
+    assert.match(corrupt[0], /CRC校验失败/);
+});
+
+test('负载长度过大的帧头立即丢弃，不等待声明的数据', () => {
+    const header = Buffer.from([0xA5, 0x5A, 0, 0, 0, 0]);
+    header.writeUInt32BE(MAX_FRAME_PAYLOAD + 1, 2);
+    const data = Buffer.concat([header, encodeFrame(payloads[1])]);
+    const { frames, corrupt, parser } = parse([data]);
+    assert.deepStrictEqual(frames, [payloads[1]]);
+    assert.match(corrupt[0], /负载长度异常/);
+    assert.strictEqual(parser.buffer.length, 0);
+});
+
+test('截断的帧在后续数据到达后被丢弃', () => {
+    const truncated = encodeFrame(payloads[2]).subarray(0, 500);
+    const data = Buffer.concat([truncated, encodeFrame(payloads[2]), encodeFrame(payloads[1])]);
+    const { frames } = parse(split(data, 200));
+    // 截断的帧吞掉了后面的部分数据，之后的帧必须正常解析
+    assert.deepStrictEqual(frames[frames.length - 1], payloads[1]);
+});
+
+test('reset() 清空未完成的帧', () => {
+    const { parser, frames } = parse([encodeFrame(payloads[2]).subarray(0, 10)]);
+    parser.reset();
+    parser.write(encodeFrame(payloads[1]));
+    assert.deepStrictEqual(frames, [payloads[1]]);
+});
+
+test('线路编码转义后不含流控字符和最高位为 1 的字节，分段解码后还原', () => {
+    for (const options of [{ flowControl: true }, { sevenBit: true }, { flowControl: true, sevenBit: true }]) {
+        const encoder = new LineCodec(options);
+        const decoder = new LineCodec(options);
+        const encoded = encoder.encode(stream);
+        if (options.flowControl) {
+            assert.ok(!encoded.includes(0x11) && !encoded.includes(0x13), '线路上出现了 XON/XOFF');
+        }
+        if (options.sevenBit) {
+            assert.ok(encoded.every(byte => byte < 0x80), '线路上出现了最高位为 1 的字节');
+        }
+        const { frames } = parse(split(encoded, 7).map(chunk => decoder.decode(chunk)));
+        assert.deepStrictEqual(frames, payloads);
+    }
+});
+
+test('线路编码丢弃收到的 XON/XOFF，7 位模式忽略最高位', () => {
+    const codec = new LineCodec({ flowControl: true, sevenBit: true });
+    const encoded = codec.encode(Buffer.from([0x11, 0xA5, 0x41]));
+    const received = Buffer.concat([Buffer.from([0x13]), encoded.subarray(0, 3), Buffer.from([0x11]), encoded.subarray(3)]);
+    // 带奇偶校验位的字节：驱动没有去掉的最高位不影响解码
+    received[received.length - 1] |= 0x80;
+    assert.deepStrictEqual([...codec.decode(received)], [0x11, 0xA5, 0x41]);
+});
+
+test('未启用线路编码时原样传输', () => {
+    const codec = new LineCodec();
+    assert.strictEqual(codec.isActive(), false);
+    assert.strictEqual(codec.encode(stream), stream);
+});
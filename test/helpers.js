@@ -0,0 +1,216 @@
+const net = require('net');
+const dgram = require('dgram');
+const { Duplex } = require('stream');
+const { once } = require('events');
+const { BridgeServer, BridgeClient } = require('..');
+
+// 测试用的工具：内存中的链路管道、回显服务器和在同一进程中运行的两端
+
+// 内存管道的一端：写入的数据从另一端读出
+// options.chunkSize  每次写入拆成不超过该长度的随机小块（模拟串口分段读取）
+// options.coalesce   先攒下写入的数据，每隔该毫秒数合并成一块交给对端（模拟串口合并读取）
+// options.corrupt    (data) => data，交给对端之前改写数据（模拟线路错误）
+class LinkEnd extends Duplex {
+    constructor(options = {}) {
+        super();
+        this.peer = null;
+        this.options = options;
+        this.pending = [];
+        this.timer = null;
+    }
+
+    // 绕过写入把数据直接交给对端，用于注入损坏的帧
+    inject(data) {
+        this.deliver(data);
+    }
+
+    deliver(data) {
+        if (!this.peer || this.peer.destroyed || this.peer.readableEnded) {
+            return;
+        }
+        const { chunkSize, coalesce, corrupt } = this.options;
+        if (corrupt) {
+            data = corrupt(Buffer.from(data));
+        }
+        if (coalesce) {
+            this.pending.push(data);
+            if (!this.timer) {
+                this.timer = setTimeout(() => this.flush(), coalesce);
+            }
+            return;
+        }
+        if (!chunkSize) {
+            this.peer.push(data);
+            return;
+        }
+        for (let offset = 0; offset < data.length;) {
+            const length = 1 + Math.floor(Math.random() * chunkSize);
+            this.peer.push(data.subarray(offset, offset + length));
+            offset += length;
+        }
+    }
+
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.pending.length > 0 && this.peer && !this.peer.destroyed) {
+            this.peer.push(Buffer.concat(this.pending));
+        }
+        this.pending = [];
+    }
+
+    _write(chunk, encoding, callback) {
+        this.deliver(chunk);
+        callback();
+    }
+
+    _read() {
+    }
+
+    _final(callback) {
+        this.hangUp();
+        callback();
+    }
+
+    _destroy(err, callback) {
+        this.hangUp();
+        callback(err);
+    }
+
+    // 本端关闭后对端读到结束
+    hangUp() {
+        this.flush();
+        if (this.peer && !this.peer.destroyed && !this.peer.readableEnded) {
+            this.peer.push(null);
+        }
+    }
+}
+
+// 创建一对相连的内存管道，两个方向可以分别指定 LinkEnd 的选项
+function createLinkPair(serverOptions = {}, clientOptions = serverOptions) {
+    const serverEnd = new LinkEnd(serverOptions);
+    const clientEnd = new LinkEnd(clientOptions);
+    serverEnd.peer = clientEnd;
+    clientEnd.peer = serverEnd;
+    return { serverEnd, clientEnd };
+}
+
+// 不输出任何内容的日志记录器；设置 TEST_LOG=1 时输出到标准错误（标准输出由测试运行器使用），便于排查失败的测试
+function createLogger() {
+    const print = process.env.TEST_LOG === '1';
+    const log = (...args) => {
+        if (print) {
+            console.error(...args);
+        }
+    };
+    return { debug: log, verbose: log, info: log, warn: log, error: log };
+}
+
+// 找一个当前空闲的本地端口
+async function freePort() {
+    const server = net.createServer();
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const { port } = server.address();
+    await new Promise(resolve => server.close(resolve));
+    return port;
+}
+
+// 回显服务器，记录收到的连接，用于检查断开是否传到了目标
+async function startEchoServer() {
+    const sockets = [];
+    const server = net.createServer((socket) => {
+        sockets.push(socket);
+        socket.on('error', () => {});
+        socket.pipe(socket);
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    return {
+        port: server.address().port,
+        sockets,
+        close: () => {
+            sockets.forEach(socket => socket.destroy());
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+// UDP回显服务器
+async function startUdpEchoServer() {
+    const socket = dgram.createSocket('udp4');
+    socket.on('message', (message, rinfo) => socket.send(message, rinfo.port, rinfo.address));
+    socket.bind(0, '127.0.0.1');
+    await once(socket, 'listening');
+    return {
+        port: socket.address().port,
+        close: () => new Promise(resolve => socket.close(resolve))
+    };
+}
+
+// 在同一进程中经内存管道运行服务端和客户端侧，等到两端的链路都可用
+// mappings 为服务端的 portMappings；link 为 createLinkPair 的选项；server / client 为两端额外的选项
+async function startBridges({ mappings, link = {}, server: serverOptions = {}, client: clientOptions = {} }) {
+    const { serverEnd, clientEnd } = createLinkPair(link.server || link, link.client || link.server || link);
+    const server = new BridgeServer({
+        portMappings: mappings,
+        linkStream: serverEnd,
+        logger: createLogger(),
+        ...serverOptions
+    });
+    const client = new BridgeClient({
+        allowAny: true,
+        linkStream: clientEnd,
+        logger: createLogger(),
+        ...clientOptions
+    });
+    const linkUp = Promise.all([once(server, 'link-up'), once(client, 'link-up')]);
+    await Promise.all([server.start(), client.start()]);
+    await linkUp;
+    return { server, client, serverEnd, clientEnd };
+}
+
+// 停止两端，已经停止的一端直接跳过
+async function stopBridges({ server, client }) {
+    await Promise.all([client.stop(), server.stop()]);
+}
+
+// 连接本地端口，收集收到的数据
+async function connect(port) {
+    const socket = net.connect(port, '127.0.0.1');
+    await once(socket, 'connect');
+    socket.received = [];
+    socket.on('data', data => socket.received.push(data));
+    socket.on('error', () => {});
+    return socket;
+}
+
+// 等待条件成立，超时时抛出异常
+async function waitFor(condition, timeout = 5000, what = '条件') {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error(`等待${what}超时`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+// 等待套接字收到 length 字节，返回收到的数据
+async function receive(socket, length, timeout) {
+    await waitFor(() => socket.received.reduce((sum, data) => sum + data.length, 0) >= length, timeout, `${length} 字节的数据`);
+    return Buffer.concat(socket.received);
+}
+
+module.exports = {
+    createLinkPair,
+    createLogger,
+    freePort,
+    startEchoServer,
+    startUdpEchoServer,
+    startBridges,
+    stopBridges,
+    connect,
+    waitFor,
+    receive
+};
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('assert');
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { once } = require('events');
+const { parseTransport, createTransport } = require('../link-transport');
+const { freePort, waitFor } = require('./helpers');
+
+test('tcp-listen 省略 host 时只监听本机', () => {
+    assert.deepStrictEqual(parseTransport('tcp-listen://:7700'), { type: 'tcp', listen: true, host: '127.0.0.1', port: 7700 });
+    assert.strictEqual(parseTransport('tcp-listen://0.0.0.0:7700').host, '0.0.0.0');
+    assert.strictEqual(parseTransport('tcp-listen://[::]:7700').host, '::');
+});
+
+test('已有对端连接时拒绝新的连接', { timeout: 10000 }, async () => {
+    const port = await freePort();
+    const transport = createTransport(parseTransport(`tcp-listen://:${port}`));
+    const rejected = [];
+    transport.on('rejected', remote => rejected.push(remote));
+    const opened = new Promise((resolve, reject) => transport.open(err => (err ? reject(err) : resolve())));
+    await once(transport, 'listening');
+
+    const peer = net.connect(port, '127.0.0.1');
+    await opened;
+    const received = [];
+    transport.on('data', data => received.push(data));
+
+    const intruder = net.connect(port, '127.0.0.1');
+    intruder.on('error', () => {});
+    await once(intruder, 'close');
+    assert.strictEqual(rejected.length, 1);
+
+    // 已建立的对端不受影响
+    assert.ok(transport.isOpen);
+    peer.write('ping');
+    await waitFor(() => received.length > 0, 5000, '对端的数据');
+    assert.strictEqual(Buffer.concat(received).toString(), 'ping');
+
+    peer.destroy();
+    await new Promise(resolve => transport.close(resolve));
+});
+
+// 在临时目录中运行 body(socketPath)，结束后删除目录
+async function withSocketDir(body) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-test-'));
+    try {
+        await body(path.join(dir, 'link.sock'));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+function openTransport(transport) {
+    return new Promise((resolve, reject) => transport.open(err => (err ? reject(err) : resolve())));
+}
+
+test('unix-listen 删除异常退出留下的套接字文件', { timeout: 10000 }, async () => {
+    await withSocketDir(async (socketPath) => {
+        // 监听后立即被 SIGKILL 结束的进程留下套接字文件
+        const script = `require('net').createServer().listen(${JSON.stringify(socketPath)}, () => process.kill(process.pid, 'SIGKILL'))`;
+        try {
+            execFileSync(process.execPath, ['-e', script]);
+        } catch (err) {
+            // 进程被结束
+        }
+        assert.ok(fs.statSync(socketPath).isSocket());
+
+        const transport = createTransport(parseTransport(`unix-listen:${socketPath}`));
+        const opened = openTransport(transport);
+        await once(transport, 'listening');
+        const peer = net.connect(socketPath);
+        await opened;
+        peer.destroy();
+        await new Promise(resolve => transport.close(resolve));
+    });
+});
+
+test('unix-listen 不抢占其他进程正在监听的套接字', { timeout: 10000 }, async () => {
+    await withSocketDir(async (socketPath) => {
+        const owner = net.createServer((socket) => {
+            socket.on('error', () => {});
+            socket.end('owner');
+        });
+        owner.listen(socketPath);
+        await once(owner, 'listening');
+        try {
+            const transport = createTransport(parseTransport(`unix-listen:${socketPath}`));
+            await assert.rejects(openTransport(transport), /已被其他进程使用/);
+            await new Promise(resolve => transport.close(resolve));
+
+            // 原来的进程仍然可以接受连接
+            const socket = net.connect(socketPath);
+            const [data] = await once(socket, 'data');
+            assert.strictEqual(data.toString(), 'owner');
+            socket.destroy();
+        } finally {
+            await new Promise(resolve => owner.close(resolve));
+        }
+    });
+});
+
+test('串口换用新路径时创建新的 SerialPort 对象并转发其事件', () => {
+    const transport = createTransport({ type: 'serial' }, { path: '/dev/ttyUSB0', baudRate: 9600 });
+    const received = [];
+    transport.on('data', data => received.push(data.toString()));
+    const oldPort = transport.port;
+    transport.setPath('/dev/ttyUSB1');
+
+    assert.notStrictEqual(transport.port, oldPort);
+    assert.strictEqual(transport.path, '/dev/ttyUSB1');
+    assert.strictEqual(transport.settings.baudRate, 9600);
+    // 旧对象的事件不再转发
+    oldPort.emit('data', Buffer.from('old'));
+    transport.port.emit('data', Buffer.from('new'));
+    assert.deepStrictEqual(received, ['new']);
+});